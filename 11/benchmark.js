@@ -0,0 +1,110 @@
+import { Router } from './simpressjs';
+import { RouteTree } from './simpressjs/tree';
+
+/**
+ * @typedef {import('./simpressjs').Route} Route
+ */
+
+const sizes = [10, 100, 1000];
+const iterations = 20000;
+const methods = ['GET', 'POST', 'PUT', 'DELETE'];
+
+/**
+ * Builds a router with the specified number of routes.
+ *
+ * @param {number} size
+ * @returns {Router}
+ */
+function buildRouter(size) {
+  const router = new Router();
+  const listener = () => {};
+
+  for (let i = 0; i < size; ++i) {
+    const method = methods[i % methods.length];
+    const resource = `/resource${Math.floor(i / methods.length)}`;
+
+    router.route(i % 2 ? resource + '/:id' : resource, method, listener);
+  }
+
+  return router;
+}
+
+/**
+ * Dispatches a request by testing every route in the registration order.
+ *
+ * @param {Router} router
+ * @param {string} url
+ * @param {string} method
+ * @returns {Route|null}
+ */
+function linearFind(router, url, method) {
+  for (const [, route] of router.routes) {
+    if (route.path.test(url) && method === route.method) return route;
+  }
+
+  return null;
+}
+
+/**
+ * Measures the average time of a function call in nanoseconds.
+ *
+ * @param {(i: number) => unknown} fn
+ * @returns {number}
+ */
+function measure(fn) {
+  // warm up
+  for (let i = 0; i < 1000; ++i) fn(i);
+
+  const start = process.hrtime.bigint();
+
+  for (let i = 0; i < iterations; ++i) fn(i);
+
+  return Number(process.hrtime.bigint() - start) / iterations;
+}
+
+function main() {
+  console.log('routes | linear, ns/op | tree, ns/op | speedup');
+
+  for (const size of sizes) {
+    const router = buildRouter(size);
+    const tree = new RouteTree();
+
+    for (const entry of router._collect('', [])) tree.insert(entry);
+
+    // the requests hit routes from the whole table including the last ones
+    const requests = [...router.routes.values()].map((route, i) => ({
+      url: (route.pattern || '').replace(':id', String(i)),
+      method: route.method
+    }));
+
+    for (const { url, method } of requests) {
+      const entry = tree.find(url, method);
+
+      if (!entry || entry.route !== linearFind(router, url, method)) {
+        throw new Error(`dispatch mismatch for ${method} ${url}`);
+      }
+    }
+
+    const linear = measure(i => {
+      const { url, method } = requests[i % requests.length];
+
+      return linearFind(router, url, method);
+    });
+    const radix = measure(i => {
+      const { url, method } = requests[i % requests.length];
+
+      return tree.find(url, method);
+    });
+
+    console.log(
+      [
+        String(size).padStart(6),
+        linear.toFixed(0).padStart(14),
+        radix.toFixed(0).padStart(11),
+        (linear / radix).toFixed(1).padStart(7) + 'x'
+      ].join(' | ')
+    );
+  }
+}
+
+main();
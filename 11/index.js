@@ -3,144 +3,111 @@ import http from 'http';
 import {
   Simpress,
   Router,
+  BadRequestError,
+  NotFoundError,
   applyJsonBodyParser,
   applyPathParamsParser,
-  applyQueryParamsParser,
-  applyConsoleLogger
+  queryParser,
+  applyConsoleLogger,
+  validate,
+  serveOpenAPI
 } from './simpressjs';
 
 const host = 'localhost';
 const port = 8000;
 
-const ErrInvalidRequestBody = new Error('invalid request body');
-const ErrInvalidNamePathParameter = new Error('invalid name path parameter');
-const ErrNoQueryParams = new Error('no query params');
-
-const ErrInvalidUserData = new Error('invalid user data');
-const ErrInvalidUserName = new Error('invalid user name');
-const ErrInvalidUserNick = new Error('invalid user nickname');
-const ErrInvalidUserId = new Error('invalid user id');
-const ErrUserNotFound = new Error('user was not found');
-
 /**
  * @typedef {import('./simpressjs').Request} Request
  * @typedef {import('./simpressjs').Response} Response
- * @typedef {import('./simpressjs').Route} Route
+ * @typedef {import('./simpressjs').Schema} Schema
  */
 
 /**
- * Appends a JSON body validator middleware.
- *
- * This middleware returns the 400 status code
- * if the request body is not an object.
- *
- * @param {Request} req
- * @param {Response} res
- * @param {(err?: unknown) => void} next
+ * @type {Schema}
  */
-function applyJsonBodyValidator(req, res, next) {
-  if (!req.body || typeof req.body !== 'object') {
-    next(ErrInvalidRequestBody);
-  } else {
-    next();
-  }
-}
+const userSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: '^[a-zA-Z-]+$' },
+    nick: { type: 'string', pattern: '^[a-zA-Z-]+$' }
+  },
+  required: ['name', 'nick']
+};
 
 /**
- *
- * @param {unknown} err
- * @param {Request} req
- * @param {Response} res
- * @param {(err?: unknown) => void} next
- * @returns
+ * @type {Schema}
  */
-function applyMiddlewareErrorsHandler(err, req, res, next) {
-  if (err != ErrInvalidRequestBody) {
-    next(err);
-
-    return;
-  }
+const userIdSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  },
+  required: ['id']
+};
 
-  res.statusCode = 400;
-  res.setHeader('Content-Type', 'application/json');
-  res.end(JSON.stringify({ message: ErrInvalidRequestBody.message }));
-  next();
-}
+/**
+ * @type {Schema}
+ */
+const userResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    nick: { type: 'string' }
+  },
+  required: ['id', 'name', 'nick'],
+  additionalProperties: false
+};
 
 /**
  * @typedef User
- * @property {number|null=} id
+ * @property {number} id
  * @property {string} name
  * @property {string} nick
  */
 
 function main() {
-  const app = new Simpress();
+  const app = new Simpress({
+    errors: { problem: true },
+    onError: err => console.error(err)
+  });
 
   app.use(applyJsonBodyParser);
   app.use(applyPathParamsParser);
-  app.use(applyQueryParamsParser);
+  app.use(queryParser({ coerce: true }));
   app.use(applyConsoleLogger);
 
-  app.route('/', 'GET', (req, res) => {
-    res.setHeader('Content-Type', 'application/json');
-    res.statusCode = 200;
-    res.end(JSON.stringify({ message: 'ok' }));
+  app.get('/', (req, res) => {
+    res.json({ message: 'ok' });
   });
 
-  app.route('/echo', 'POST', (req, res) => {
-    res.setHeader('Content-Type', 'application/json');
-    res.statusCode = 200;
-    res.end(JSON.stringify(req.body));
-  });
-
-  app
-    .route(/^\/params\/(?<name>\w+)\/?/, 'GET', (req, res) => {
-      res.setHeader('Content-Type', 'application/json');
-      res.statusCode = 200;
-      res.end(JSON.stringify({ query: req.queryParams, path: req.pathParams }));
-    })
-    .use((req, res, next) => {
-      if (!req.pathParams || !/^[a-zA-Z0-9]+$/.test(req.pathParams.name)) {
-        next(ErrInvalidNamePathParameter);
-      } else {
-        next();
+  app.post(
+    '/echo',
+    validate({ body: { type: ['object', 'array'] } }),
+    (req, res) => {
+      res.json(req.body);
+    }
+  );
+
+  app.get(
+    '/params/:name(\\w+)',
+    validate({
+      params: {
+        type: 'object',
+        properties: { name: { type: 'string', pattern: '^[a-zA-Z0-9]+$' } }
       }
-    })
-    .use((req, res, next) => {
+    }),
+    (req, res, next) => {
       if (!req.queryParams || !Object.keys(req.queryParams).length) {
-        next(ErrNoQueryParams);
+        next(new BadRequestError('no query params'));
       } else {
         next();
       }
-    })
-    .useForError((err, req, res, next) => {
-      if (err != ErrInvalidNamePathParameter) {
-        next(err);
-
-        return;
-      }
-
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ message: ErrInvalidNamePathParameter.message }));
-      next();
-    })
-    .useForError((err, req, res, next) => {
-      if (err != ErrNoQueryParams) {
-        next(err);
-
-        return;
-      }
-
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ message: ErrNoQueryParams.message }));
-    });
-
-  /** @type {Route} */ (app.findRoute('/echo', 'POST'))
-    .use(applyJsonBodyValidator)
-    .useForError(applyMiddlewareErrorsHandler);
+    },
+    (req, res) => {
+      res.json({ query: req.queryParams, path: req.pathParams });
+    }
+  );
 
   let usersListCounter = 0;
 
@@ -148,165 +115,118 @@ function main() {
    * @type {User[]}
    */
   const usersList = [];
-  const usersRouter = new Router();
-
-  usersRouter.route('/users', 'GET', (req, res) => {
-    const page =
-      req.queryParams && req.queryParams.page
-        ? Number(req.queryParams.page)
-        : 0;
-    const pageSize =
-      req.queryParams && req.queryParams.pageSize
-        ? Number(req.queryParams.pageSize)
-        : 10;
-
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(
-      JSON.stringify(
-        usersList.slice(page * pageSize, page * pageSize + pageSize)
-      )
-    );
-  });
+  const usersRouter = new Router({ prefix: '/users' });
 
-  const ErrInvalidUserData = new Error('invalid user data');
-  const ErrInvalidUserName = new Error('invalid user name');
-  const ErrInvalidUserNick = new Error('invalid user nickname');
-  const ErrInvalidUserId = new Error('invalid user id');
-  const ErrUserNotFound = new Error('user was not found');
-
-  const validateUserFactory = (update = false) => {
-    /**
-     *
-     * @param {Request} req
-     * @param {Response} res
-     * @param {(err?: unknown) => void} next
-     */
-    const mw = (req, res, next) => {
-      const user = /** @type {User} */ (req.body);
-      const id = req.pathParams && req.pathParams.id;
-
-      if (!user || typeof user !== 'object') {
-        next(ErrInvalidUserData);
-      } else if (!/^[a-zA-Z-]+$/.test(user.name)) {
-        next(ErrInvalidUserName);
-      } else if (!/^[a-zA-Z-]+$/.test(user.nick)) {
-        next(ErrInvalidUserNick);
-      } else if (update && (typeof id !== 'number' || !Number.isInteger(id))) {
-        next(ErrInvalidUserId);
-      } else {
-        next();
+  usersRouter
+    .get(
+      '/',
+      validate({
+        query: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer', minimum: 0, default: 0 },
+            pageSize: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+          }
+        }
+      }),
+      (req, res) => {
+        const { page, pageSize } =
+          /** @type {{ page: number, pageSize: number }} */ (req.queryParams);
+
+        res.json(usersList.slice(page * pageSize, page * pageSize + pageSize));
       }
-    };
-
-    return mw;
-  };
-
-  /**
-   *
-   * @param {unknown} err
-   * @param {Request} req
-   * @param {Response} res
-   * @param {(err?: unknown) => void} next
-   */
-  const handleUserValidationError = (err, req, res, next) => {
-    if (
-      err === ErrInvalidUserData ||
-      err === ErrInvalidUserName ||
-      err === ErrInvalidUserNick ||
-      err === ErrInvalidUserId
-    ) {
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ message: /** @type {Error} */ (err).message }));
-      next();
-    } else {
-      next(err);
-    }
-  };
+    )
+    .describe({ summary: 'List users', tags: ['users'] });
 
   usersRouter
-    .route('/users', 'POST', (req, res) => {
-      const user = /** @type {User} */ (req.body);
-      const id = ++usersListCounter;
-      const item = { id, name: user.name, nick: user.nick };
+    .post(
+      '/',
+      validate({ body: userSchema, response: { 201: userResponseSchema } }),
+      (req, res) => {
+        const user = /** @type {User} */ (req.body);
+        const id = ++usersListCounter;
+        const item = { id, name: user.name, nick: user.nick };
 
-      usersList.push(item);
+        usersList.push(item);
 
-      res.statusCode = 201;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify(item));
-    })
-    .use(validateUserFactory())
-    .useForError(handleUserValidationError);
-
-  usersRouter.route(/^\/users\/(?<id>\d+)\/?/, 'GET', (req, res) => {
-    const id =
-      req.pathParams && req.pathParams.id ? Number(req.pathParams.id) : null;
-    const item = usersList.find(u => u.id === id);
-
-    if (!item) {
-      res.statusCode = 404;
-      res.end(JSON.stringify({ message: ErrUserNotFound.message }));
+        res.status(201).json(item);
+      }
+    )
+    .describe({ summary: 'Create a user', tags: ['users'] });
 
-      return;
-    }
+  usersRouter
+    .get(
+      '/:id(\\d+)',
+      validate({ params: userIdSchema, response: { 200: userResponseSchema } }),
+      (req, res) => {
+        const { id } = /** @type {{ id: number }} */ (req.pathParams);
+        const item = usersList.find(u => u.id === id);
+
+        if (!item) {
+          throw new NotFoundError('user was not found');
+        }
+
+        res.json(item);
+      }
+    )
+    .describe({ summary: 'Get a user', tags: ['users'] });
 
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(item));
-  });
+  usersRouter
+    .put(
+      '/:id(\\d+)',
+      validate({
+        params: userIdSchema,
+        body: userSchema,
+        response: { 200: userResponseSchema }
+      }),
+      (req, res) => {
+        const { id } = /** @type {{ id: number }} */ (req.pathParams);
+        const index = usersList.findIndex(u => u.id === id);
+
+        if (index === -1) {
+          throw new NotFoundError('user was not found');
+        }
+
+        const user = /** @type {User} */ (req.body);
+        const item = { id, name: user.name, nick: user.nick };
+
+        usersList[index] = item;
+
+        res.json(item);
+      }
+    )
+    .describe({ summary: 'Replace a user', tags: ['users'] });
 
   usersRouter
-    .route(/^\/users\/(?<id>\d+)\/?/, 'PUT', (req, res) => {
-      const id =
-        req.pathParams && req.pathParams.id ? Number(req.pathParams.id) : null;
+    .delete('/:id(\\d+)', validate({ params: userIdSchema }), (req, res) => {
+      const { id } = /** @type {{ id: number }} */ (req.pathParams);
       const index = usersList.findIndex(u => u.id === id);
 
       if (index === -1) {
-        res.statusCode = 404;
-        res.end(JSON.stringify({ message: ErrUserNotFound.message }));
-
-        return;
+        throw new NotFoundError('user was not found');
       }
 
-      const user = /** @type {User} */ (req.body);
-      const item = /** @type {User} */ ({
-        id,
-        name: user.name,
-        nick: user.nick
-      });
-
-      usersList[index] = item;
+      usersList.splice(index, 1);
 
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify(item));
+      res.sendStatus(204);
     })
-    .use(validateUserFactory(true))
-    .useForError(handleUserValidationError);
-
-  usersRouter.route(/^\/users\/(?<id>\d+)\/?/, 'DELETE', (req, res) => {
-    const id =
-      req.pathParams && req.pathParams.id ? Number(req.pathParams.id) : null;
-    const index = usersList.findIndex(u => u.id === id);
-
-    if (index === -1) {
-      res.statusCode = 404;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ message: ErrUserNotFound.message }));
-
-      return;
-    }
-
-    usersList.splice(index, 1);
-
-    res.statusCode = 204;
-    res.end();
-  });
+    .describe({
+      summary: 'Delete a user',
+      tags: ['users'],
+      responses: { 204: { description: 'The user was deleted' } }
+    });
 
   app.useRouter(usersRouter);
 
+  app
+    .get(
+      '/openapi.json',
+      serveOpenAPI(app, {
+        info: { title: 'Simpress example', version: '1.0.0' }
+      })
+    )
+    .describe({ hidden: true });
+
   const server = http.createServer(app.toListener());
 
   server.listen(port, host, () => {
@@ -0,0 +1,51 @@
+/**
+ * Module resolution hook for the tests: resolves extensionless relative
+ * imports (`./route`) and directory imports (`./simpressjs`) like
+ * `--es-module-specifier-resolution=node` did before Node.js 19 removed it.
+ *
+ * Usage: `node --loader ./11/loader.js ...`
+ */
+
+/** @type {string[]} */
+const suffixes = ['.js', '/index.js'];
+
+/**
+ * @typedef ResolveContext
+ * @property {string} [parentURL]
+ *
+ * @typedef ResolveResult
+ * @property {string} url
+ */
+
+/**
+ * Resolves a module specifier, retrying relative ones with the suffixes above.
+ *
+ * @param {string} specifier
+ * @param {ResolveContext} context
+ * @param {(specifier: string, context?: ResolveContext) => Promise<ResolveResult>} nextResolve
+ * @returns {Promise<ResolveResult>}
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const { code } = /** @type {NodeJS.ErrnoException} */ (err);
+
+    if (
+      !/^\.{1,2}\//.test(specifier) ||
+      (code !== 'ERR_MODULE_NOT_FOUND' && code !== 'ERR_UNSUPPORTED_DIR_IMPORT')
+    ) {
+      throw err;
+    }
+
+    for (const suffix of suffixes) {
+      try {
+        return await nextResolve(specifier + suffix, context);
+      } catch (e) {
+        // tries the next suffix
+      }
+    }
+
+    throw err;
+  }
+}
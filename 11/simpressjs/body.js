@@ -0,0 +1,368 @@
+import { PassThrough } from 'stream';
+import { createBrotliDecompress, createGunzip, createInflate } from 'zlib';
+
+import {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} from './errors';
+
+/**
+ * @typedef {import('http').IncomingMessage} IncomingMessage
+ * @typedef {import('stream').Readable} Readable
+ * @typedef {import('stream').Transform} Transform
+ *
+ * @typedef {string | string[] | ((req: IncomingMessage) => boolean)} TypeOption
+ * @typedef {{ type: string, params: Record<string, string> }} ContentType
+ */
+
+const byteUnits = /** @type {Record<string, number>} */ ({
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024
+});
+
+/**
+ * Converts a size to bytes.
+ *
+ * @param {number|string|undefined} size number of bytes or a string like `100kb`, `1.5mb`
+ * @param {number} defaultSize
+ * @returns {number}
+ */
+export function parseBytes(size, defaultSize) {
+  if (size === undefined) return defaultSize;
+  if (typeof size === 'number') return size;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(size);
+
+  if (!match) throw new TypeError(`invalid size "${size}"`);
+
+  return Math.floor(
+    Number(match[1]) * byteUnits[(match[2] || 'b').toLowerCase()]
+  );
+}
+
+/**
+ * Parses a `Content-Type` header value.
+ *
+ * @param {string|undefined} header
+ * @returns {ContentType}
+ */
+export function parseContentType(header) {
+  const [type, ...params] = (header || '').split(';');
+  /** @type {Record<string, string>} */
+  const result = {};
+
+  for (const param of params) {
+    const index = param.indexOf('=');
+
+    if (index === -1) continue;
+
+    const key = param.slice(0, index).trim().toLowerCase();
+    const value = param.slice(index + 1).trim();
+
+    result[key] =
+      value.startsWith('"') && value.endsWith('"') && value.length > 1
+        ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+        : value;
+  }
+
+  return { type: type.trim().toLowerCase(), params: result };
+}
+
+/**
+ * Creates a function which checks whether a request has one of the content types.
+ *
+ * Types may contain wildcards (`text/*`) and suffixes (`*\/*+json`).
+ *
+ * @param {TypeOption} type
+ * @returns {(req: IncomingMessage) => boolean}
+ */
+export function typeMatcher(type) {
+  if (typeof type === 'function') return type;
+
+  const patterns = (Array.isArray(type) ? type : [type]).map(
+    pattern =>
+      new RegExp(
+        '^' +
+          pattern
+            .toLowerCase()
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+            .join('[^/]*') +
+          '$'
+      )
+  );
+
+  return req => {
+    const { type } = parseContentType(req.headers['content-type']);
+
+    return !!type && patterns.some(pattern => pattern.test(type));
+  };
+}
+
+/**
+ * Checks whether a request has a body which may be parsed.
+ * Bodies of `GET` and `HEAD` requests and bodies consumed by other parsers are never parsed.
+ *
+ * @param {IncomingMessage} req
+ * @returns {boolean}
+ */
+export function hasBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return false;
+  if (req.readableEnded) return false;
+
+  return (
+    req.headers['transfer-encoding'] !== undefined ||
+    (req.headers['content-length'] !== undefined &&
+      req.headers['content-length'] !== '0')
+  );
+}
+
+/**
+ * Factories of decompression streams by content codings.
+ *
+ * @type {Record<string, () => Transform>}
+ */
+const decompressors = {
+  gzip: () => createGunzip(),
+  'x-gzip': () => createGunzip(),
+  deflate: () => createInflate(),
+  br: () => createBrotliDecompress()
+};
+
+/**
+ * Creates a stream of the decompressed request body according to `Content-Encoding`.
+ *
+ * Decompression errors are emitted by the returned stream as 400 errors.
+ *
+ * @param {IncomingMessage} req
+ * @returns {Readable} the request itself if the body is not compressed
+ * @throws {UnsupportedMediaTypeError} if a content coding is not supported
+ */
+export function inflateBody(req) {
+  const codings = (req.headers['content-encoding'] || '')
+    .split(',')
+    .map(coding => coding.trim().toLowerCase())
+    .filter(coding => coding && coding !== 'identity');
+  // codings are listed in the order they have been applied
+  const streams = codings.reverse().map(coding => {
+    const create = decompressors[coding];
+
+    if (!create) {
+      throw new UnsupportedMediaTypeError(
+        `unsupported content encoding "${coding}"`
+      );
+    }
+
+    return create();
+  });
+
+  if (!streams.length) return req;
+
+  // decompression errors are reported by the output as client errors
+  const output = new PassThrough();
+
+  for (const stream of streams) {
+    stream.on('error', () =>
+      output.destroy(new BadRequestError('malformed compressed body'))
+    );
+  }
+
+  output.on('close', () => {
+    for (const stream of streams) stream.destroy();
+  });
+
+  return streams
+    .reduce(
+      (source, stream) => source.pipe(stream),
+      /** @type {Readable} */ (req)
+    )
+    .pipe(output);
+}
+
+/**
+ * Stops reading of a request body, the rest of the body is discarded.
+ *
+ * @param {IncomingMessage} req
+ * @param {Readable} stream the request or a stream returned by `inflateBody`
+ */
+export function discardBody(req, stream) {
+  if (stream !== req) {
+    req.unpipe();
+    stream.destroy();
+  }
+
+  req.resume();
+}
+
+/**
+ * Reads the whole request body, a compressed body is decompressed.
+ *
+ * The limit is applied to the decompressed size, the rest of the body is discarded when it is exceeded.
+ *
+ * @param {IncomingMessage} req
+ * @param {number} limit maximum body size in bytes
+ * @returns {Promise<Buffer>} rejected with a 413 error if the body is too large,
+ *  with a 415 error if the content encoding is not supported
+ */
+export function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    /** @type {Readable} */
+    let stream;
+
+    try {
+      stream = inflateBody(req);
+    } catch (e) {
+      req.resume();
+      reject(e);
+
+      return;
+    }
+
+    const length = Number(req.headers['content-length']);
+
+    if (stream === req && length > limit) {
+      req.resume();
+      reject(new PayloadTooLargeError(`request body exceeds ${limit} bytes`));
+
+      return;
+    }
+
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let received = 0;
+
+    /** @param {Buffer} chunk */
+    const onData = chunk => {
+      received += chunk.length;
+
+      if (received > limit) {
+        cleanup();
+        discardBody(req, stream);
+        reject(new PayloadTooLargeError(`request body exceeds ${limit} bytes`));
+      } else {
+        chunks.push(chunk);
+      }
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.concat(chunks));
+    };
+    /** @param {Error} err */
+    const onError = err => {
+      cleanup();
+      discardBody(req, stream);
+      reject(err);
+    };
+    const onClose = () => {
+      // the request is closed after the end too
+      if (req.complete) return;
+
+      cleanup();
+      discardBody(req, stream);
+      reject(new BadRequestError('request aborted'));
+    };
+    const cleanup = () => {
+      stream.off('data', onData);
+      stream.off('end', onEnd);
+      stream.off('error', onError);
+      req.off('error', onError);
+      req.off('close', onClose);
+    };
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+    if (stream !== req) req.on('error', onError);
+    req.on('close', onClose);
+  });
+}
+
+/**
+ * Creates a decoder of the charset.
+ *
+ * @param {string} charset
+ * @returns {TextDecoder}
+ */
+function createDecoder(charset) {
+  try {
+    return new TextDecoder(charset);
+  } catch (e) {
+    throw new UnsupportedMediaTypeError(`unsupported charset "${charset}"`);
+  }
+}
+
+/**
+ * Returns the charset of the request `Content-Type`.
+ *
+ * @param {IncomingMessage} req
+ * @param {string} defaultCharset
+ * @returns {string}
+ */
+function getCharset(req, defaultCharset) {
+  const { params } = parseContentType(req.headers['content-type']);
+
+  return (params.charset || defaultCharset).toLowerCase();
+}
+
+/**
+ * Decodes a body using the charset of the request `Content-Type`.
+ *
+ * @param {IncomingMessage} req
+ * @param {Buffer} body
+ * @param {string=} defaultCharset
+ * @returns {string}
+ */
+export function decodeBody(req, body, defaultCharset = 'utf-8') {
+  return createDecoder(getCharset(req, defaultCharset)).decode(body);
+}
+
+/**
+ * Splits an `application/x-www-form-urlencoded` body to key-value pairs.
+ *
+ * Percent-encoded bytes are decoded using the charset of the request `Content-Type`.
+ *
+ * @param {IncomingMessage} req
+ * @param {Buffer} body
+ * @param {number} parameterLimit maximum number of pairs
+ * @param {string=} defaultCharset
+ * @returns {Array<[string, string]>} rejected with a 413 error if there are too many pairs
+ */
+export function parseUrlencoded(
+  req,
+  body,
+  parameterLimit,
+  defaultCharset = 'utf-8'
+) {
+  const decoder = createDecoder(getCharset(req, defaultCharset));
+  /** @param {string} str */
+  const decode = str =>
+    decoder.decode(
+      Buffer.from(
+        str
+          .replace(/\+/g, ' ')
+          .replace(/%([0-9a-f]{2})/gi, (_, hex) =>
+            String.fromCharCode(parseInt(hex, 16))
+          ),
+        'latin1'
+      )
+    );
+  // every byte becomes a single character, so percent-encoding is decoded byte by byte
+  const pairs = body.toString('latin1').split('&').filter(Boolean);
+
+  if (pairs.length > parameterLimit) {
+    throw new PayloadTooLargeError(
+      `request body has more than ${parameterLimit} parameters`
+    );
+  }
+
+  return pairs.map(pair => {
+    const index = pair.indexOf('=');
+
+    return index === -1
+      ? [decode(pair), '']
+      : [decode(pair.slice(0, index)), decode(pair.slice(index + 1))];
+  });
+}
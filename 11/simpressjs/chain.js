@@ -0,0 +1,106 @@
+/**
+ * @typedef {import('http').ServerResponse} ServerResponse
+ *
+ * @typedef {import('./types').NextFunction} NextFunction
+ */
+
+/**
+ * Calls a middleware or an error middleware of any supported style.
+ *
+ * A middleware may:
+ * - call `next` as a callback, the chain continues when it is called;
+ * - `await next()`, the call is resolved when downstream middlewares are done;
+ * - omit the `next` parameter and return (or resolve), the chain continues immediately.
+ *
+ * Errors passed to `next`, thrown or rejected by the middleware reject the returned promise.
+ * The chain stops if the middleware ends the response without calling `next`.
+ * The result of `next` is rejected with downstream errors only for middlewares returning a promise,
+ * so callback style code like `promise.then(() => next(), next)` never produces unhandled rejections.
+ *
+ * @param {(...args: any[]) => unknown} fn middleware function
+ * @param {unknown[]} args middleware arguments preceding `next`
+ * @param {ServerResponse} res
+ * @param {() => Promise<void>} downstream runs the rest of the chain
+ * @returns {Promise<void>}
+ */
+export function callMiddleware(fn, args, res, downstream) {
+  return new Promise((resolve, reject) => {
+    /** @type {Promise<void>|null} */
+    let pending = null;
+    let isAsync = false;
+    let awaited = false;
+    let waiting = false;
+    let closed = false;
+
+    const onClose = () => {
+      closed = true;
+      resolve();
+    };
+
+    /** @type {NextFunction} */
+    const next = err => {
+      if (!pending) {
+        if (closed) pending = Promise.resolve();
+        else pending = err === undefined ? downstream() : Promise.reject(err);
+
+        // the rejection is delivered through the returned promise
+        pending.catch(() => {});
+
+        if (waiting) {
+          res.off('close', onClose);
+          pending.then(resolve, reject);
+        }
+      }
+
+      const promise = pending;
+
+      return {
+        then(onFulfilled, onRejected) {
+          if (!isAsync) {
+            return promise.catch(() => {}).then(onFulfilled, onRejected);
+          }
+
+          awaited = true;
+
+          return promise.then(onFulfilled, onRejected);
+        }
+      };
+    };
+
+    const finish = () => {
+      if (pending) {
+        // an awaited result is handled by the middleware itself
+        if (awaited) resolve();
+        else pending.then(resolve, reject);
+      } else if (res.writableEnded || res.destroyed) {
+        resolve();
+      } else if (fn.length <= args.length) {
+        downstream().then(resolve, reject);
+      } else {
+        waiting = true;
+        res.once('close', onClose);
+      }
+    };
+
+    /** @type {unknown} */
+    let result;
+
+    try {
+      result = fn(...args, next);
+    } catch (e) {
+      reject(e);
+
+      return;
+    }
+
+    isAsync =
+      !!result &&
+      typeof (/** @type {PromiseLike<unknown>} */ (result).then) === 'function';
+
+    if (isAsync) {
+      /** @type {PromiseLike<unknown>} */ (result).then(finish, reject);
+    } else {
+      finish();
+    }
+  });
+}
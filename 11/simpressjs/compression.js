@@ -0,0 +1,96 @@
+import {
+  constants,
+  createBrotliCompress,
+  createDeflate,
+  createGzip
+} from 'zlib';
+
+import { parseContentType } from './body';
+
+/**
+ * @typedef {import('stream').Transform} Transform
+ * @typedef {import('zlib').ZlibOptions} ZlibOptions
+ * @typedef {import('zlib').BrotliOptions} BrotliOptions
+ *
+ * @typedef {'br' | 'gzip' | 'deflate'} Encoding
+ */
+
+/**
+ * Content types which are worth compressing, other types are either binary or already compressed.
+ */
+const COMPRESSIBLE_TYPE =
+  /^(?:text\/|application\/(?:json|javascript|xml|x-www-form-urlencoded|graphql)$|image\/svg\+xml$)|\+(?:json|xml)$/;
+
+/**
+ * Checks whether a content type is worth compressing.
+ *
+ * @param {number|string|string[]|undefined} header `Content-Type` header value
+ * @returns {boolean}
+ */
+export function isCompressible(header) {
+  const { type } = parseContentType(
+    header === undefined ? undefined : String(header)
+  );
+
+  return !!type && COMPRESSIBLE_TYPE.test(type);
+}
+
+/**
+ * Chooses an encoding acceptable by the client.
+ *
+ * @param {string|string[]|undefined} header `Accept-Encoding` header value
+ * @param {Encoding[]} encodings supported encodings in the order of preference
+ * @returns {Encoding|null} `null` if only the identity encoding is acceptable
+ */
+export function negotiateEncoding(header, encodings) {
+  const value = Array.isArray(header) ? header.join(',') : header || '';
+  /** @type {Map<string, number>} */
+  const weights = new Map();
+
+  for (const item of value.split(',')) {
+    const { type, params } = parseContentType(item);
+    const weight = params.q !== undefined ? Number(params.q) : 1;
+
+    if (type) weights.set(type, Number.isNaN(weight) ? 0 : weight);
+  }
+
+  /** @type {Encoding|null} */
+  let result = null;
+  let best = 0;
+
+  for (const encoding of encodings) {
+    const weight = weights.has(encoding)
+      ? /** @type {number} */ (weights.get(encoding))
+      : weights.get('*') || 0;
+
+    if (weight > best) {
+      result = encoding;
+      best = weight;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Creates a compression stream.
+ *
+ * Brotli uses the quality 4 by default, the maximum quality is too slow for dynamic responses.
+ *
+ * @param {Encoding} encoding
+ * @param {{ zlib?: ZlibOptions, brotli?: BrotliOptions }} options
+ * @returns {Transform}
+ */
+export function createCompressor(encoding, options) {
+  if (encoding === 'br') {
+    return createBrotliCompress(
+      options.brotli || {
+        params: { [constants.BROTLI_PARAM_QUALITY]: 4 }
+      }
+    );
+  }
+
+  return encoding === 'gzip'
+    ? createGzip(options.zlib)
+    : createDeflate(options.zlib);
+}
@@ -0,0 +1,398 @@
+import { STATUS_CODES } from 'http';
+
+/**
+ * @typedef {import('http').ServerResponse} ServerResponse
+ *
+ * @typedef {import('./types').Request} Request
+ */
+
+/**
+ * @typedef HttpErrorOptions
+ * @property {string=} code machine-readable error code, it is derived from the status by default
+ * @property {boolean=} expose whether the message may be sent to the client, `true` for 4xx statuses by default
+ * @property {unknown=} details additional error information, e.g. validation violations
+ * @property {string=} type URI reference of the problem type, it is used by problem documents
+ */
+
+/**
+ * @typedef ErrorRenderOptions
+ * @property {boolean=} problem render `application/problem+json` documents (RFC 7807) instead of `{ message }` objects
+ * @property {boolean=} production hide messages of unexposed errors, it is `NODE_ENV === 'production'` by default
+ * @property {boolean=} stack send stacks of unexpected errors, `false` by default,
+ * stacks reveal server file paths, so it is meant for local development only
+ */
+
+/**
+ * Converts a status text to an error code, e.g. `Not Found` to `NOT_FOUND`.
+ *
+ * @param {number} status
+ * @returns {string}
+ */
+function statusToCode(status) {
+  return (STATUS_CODES[status] || 'Error')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * An error which is sent to the client with an HTTP status code.
+ */
+export class HttpError extends Error {
+  /**
+   * HTTP status code.
+   *
+   * @readonly
+   * @type {number}
+   */
+  status;
+
+  /**
+   * Machine-readable error code.
+   *
+   * @readonly
+   * @type {string}
+   */
+  code;
+
+  /**
+   * Whether the message may be sent to the client.
+   *
+   * @readonly
+   * @type {boolean}
+   */
+  expose;
+
+  /**
+   * Additional error information.
+   *
+   * @readonly
+   * @type {unknown}
+   */
+  details;
+
+  /**
+   * URI reference of the problem type.
+   *
+   * @readonly
+   * @type {string}
+   */
+  type;
+
+  /**
+   * @param {number} status HTTP status code
+   * @param {string=} message error message, the status text by default
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(status, message, options = {}) {
+    super(message || STATUS_CODES[status] || 'Error');
+
+    this.name = new.target.name;
+    this.status = status;
+    this.code = options.code || statusToCode(status);
+    this.expose = options.expose !== undefined ? options.expose : status < 500;
+    this.details = options.details;
+    this.type = options.type || 'about:blank';
+  }
+}
+
+export class BadRequestError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(400, message, options);
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(401, message, options);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(403, message, options);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(404, message, options);
+  }
+}
+
+export class MethodNotAllowedError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(405, message, options);
+  }
+}
+
+export class NotAcceptableError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(406, message, options);
+  }
+}
+
+export class ConflictError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(409, message, options);
+  }
+}
+
+export class GoneError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(410, message, options);
+  }
+}
+
+export class PayloadTooLargeError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(413, message, options);
+  }
+}
+
+export class UnsupportedMediaTypeError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(415, message, options);
+  }
+}
+
+export class UnprocessableEntityError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(422, message, options);
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(429, message, options);
+  }
+}
+
+export class InternalServerError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(500, message, options);
+  }
+}
+
+export class NotImplementedError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(501, message, options);
+  }
+}
+
+export class BadGatewayError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(502, message, options);
+  }
+}
+
+export class ServiceUnavailableError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(503, message, options);
+  }
+}
+
+export class GatewayTimeoutError extends HttpError {
+  /**
+   * @param {string=} message
+   * @param {HttpErrorOptions=} options
+   */
+  constructor(message, options) {
+    super(504, message, options);
+  }
+}
+
+/**
+ * @type {Map<number, new (message?: string, options?: HttpErrorOptions) => HttpError>}
+ */
+const errorClasses = new Map([
+  [400, BadRequestError],
+  [401, UnauthorizedError],
+  [403, ForbiddenError],
+  [404, NotFoundError],
+  [405, MethodNotAllowedError],
+  [406, NotAcceptableError],
+  [409, ConflictError],
+  [410, GoneError],
+  [413, PayloadTooLargeError],
+  [415, UnsupportedMediaTypeError],
+  [422, UnprocessableEntityError],
+  [429, TooManyRequestsError],
+  [500, InternalServerError],
+  [501, NotImplementedError],
+  [502, BadGatewayError],
+  [503, ServiceUnavailableError],
+  [504, GatewayTimeoutError]
+]);
+
+/**
+ * Creates an HTTP error of the class corresponding to the status.
+ *
+ * @param {number} status HTTP status code
+ * @param {string=} message
+ * @param {HttpErrorOptions=} options
+ * @returns {HttpError}
+ */
+export function createHttpError(status, message, options) {
+  const ErrorClass = errorClasses.get(status);
+
+  return ErrorClass
+    ? new ErrorClass(message, options)
+    : new HttpError(status, message, options);
+}
+
+/**
+ * Returns an HTTP status code of an error.
+ *
+ * @param {unknown} err
+ * @returns {number} the error `status` or `statusCode` if it is an error status, 500 otherwise
+ */
+export function getErrorStatus(err) {
+  if (!err || typeof err !== 'object') return 500;
+
+  const { status, statusCode } =
+    /** @type {{ status?: unknown, statusCode?: unknown }} */ (err);
+  const code = status !== undefined ? status : statusCode;
+
+  return typeof code === 'number' &&
+    Number.isInteger(code) &&
+    code >= 400 &&
+    code < 600
+    ? code
+    : 500;
+}
+
+/**
+ * Converts any error to an HTTP error.
+ *
+ * @param {unknown} err
+ * @returns {HttpError}
+ */
+export function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  const status = getErrorStatus(err);
+
+  return createHttpError(
+    status,
+    err instanceof Error ? err.message : undefined,
+    { expose: status < 500 }
+  );
+}
+
+/**
+ * Sends an error response.
+ *
+ * Messages and details of unexposed errors are replaced by the status text in production,
+ * stacks of unexpected errors are sent only if the `stack` option is enabled.
+ * The response is just ended if headers have been already sent.
+ *
+ * @param {unknown} err
+ * @param {Request} req
+ * @param {ServerResponse} res
+ * @param {ErrorRenderOptions=} options
+ */
+export function sendError(err, req, res, options = {}) {
+  if (res.headersSent) {
+    if (!res.writableEnded) res.end();
+
+    return;
+  }
+
+  const production =
+    options.production !== undefined
+      ? options.production
+      : process.env.NODE_ENV === 'production';
+  const httpError = toHttpError(err);
+  const { status, code } = httpError;
+  const exposed = httpError.expose || !production;
+  const message = exposed ? httpError.message : STATUS_CODES[status] || 'Error';
+  const details = exposed ? httpError.details : undefined;
+  const stack =
+    options.stack && err !== httpError && err instanceof Error
+      ? err.stack
+      : undefined;
+  const body = options.problem
+    ? {
+        type: httpError.type,
+        title: STATUS_CODES[status] || 'Error',
+        status,
+        detail: message,
+        instance: req.originalUrl || req.url,
+        code,
+        details,
+        stack
+      }
+    : { message, code, details, stack };
+
+  res.statusCode = status;
+  res.setHeader(
+    'Content-Type',
+    options.problem ? 'application/problem+json' : 'application/json'
+  );
+  res.end(JSON.stringify(body));
+}
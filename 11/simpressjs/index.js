@@ -1,11 +1,39 @@
 export { Simpress } from './simpress';
 export { Route } from './route';
-export { Router } from './router';
+export { Router, RouteBuilder } from './router';
 export * from './middlewares';
+export * from './errors';
+export { validateSchema } from './schema';
+export { serveOpenAPI } from './openapi';
 
 /**
+ * @typedef {import('./simpress').SimpressOptions} SimpressOptions
+ * @typedef {import('./simpress').RouteInfo} RouteInfo
+ * @typedef {import('./router').RouterOptions} RouterOptions
  * @typedef {import('./types').Request} Request
  * @typedef {import('./types').Response} Response
+ * @typedef {import('./types').NextFunction} NextFunction
  * @typedef {import('./types').Middleware} Middleware
  * @typedef {import('./types').ErrorMiddleware} ErrorMiddleware
+ * @typedef {import('./middlewares').JsonBodyParserOptions} JsonBodyParserOptions
+ * @typedef {import('./middlewares').UrlencodedBodyParserOptions} UrlencodedBodyParserOptions
+ * @typedef {import('./middlewares').TextBodyParserOptions} TextBodyParserOptions
+ * @typedef {import('./middlewares').RawBodyParserOptions} RawBodyParserOptions
+ * @typedef {import('./middlewares').BodyParserOptions} BodyParserOptions
+ * @typedef {import('./middlewares').MultipartBodyParserOptions} MultipartBodyParserOptions
+ * @typedef {import('./middlewares').MultipartLimits} MultipartLimits
+ * @typedef {import('./middlewares').CompressionOptions} CompressionOptions
+ * @typedef {import('./middlewares').QueryParserOptions} QueryParserOptions
+ * @typedef {import('./middlewares').RequestSchemas} RequestSchemas
+ * @typedef {import('./middlewares').ValidateOptions} ValidateOptions
+ * @typedef {import('./middlewares').ValidationMiddleware} ValidationMiddleware
+ * @typedef {import('./qs').NestedOptions} NestedOptions
+ * @typedef {import('./schema').Schema} Schema
+ * @typedef {import('./route').RouteDescription} RouteDescription
+ * @typedef {import('./openapi').OpenAPIOptions} OpenAPIOptions
+ * @typedef {import('./openapi').OpenAPIDocument} OpenAPIDocument
+ * @typedef {import('./schema').Violation} Violation
+ * @typedef {import('./types').UploadedFile} UploadedFile
+ * @typedef {import('./errors').HttpErrorOptions} HttpErrorOptions
+ * @typedef {import('./errors').ErrorRenderOptions} ErrorRenderOptions
  */
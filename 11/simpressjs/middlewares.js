@@ -1,61 +1,861 @@
-import url from 'url';
+import { randomBytes } from 'crypto';
+import { once } from 'events';
+import { createWriteStream, unlink } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PassThrough } from 'stream';
+
+import {
+  decodeBody,
+  discardBody,
+  hasBody,
+  inflateBody,
+  parseBytes,
+  parseContentType,
+  parseUrlencoded,
+  readBody,
+  typeMatcher
+} from './body';
+import {
+  createCompressor,
+  isCompressible,
+  negotiateEncoding
+} from './compression';
+import {
+  BadRequestError,
+  InternalServerError,
+  PayloadTooLargeError,
+  UnprocessableEntityError,
+  sendError
+} from './errors';
+import { MultipartParser, parseDisposition } from './multipart';
+import { coerceValues, parseNested } from './qs';
+import { validateSchema } from './schema';
 
 /**
  * @typedef {import('./types').Request} Request
  * @typedef {import('./types').Response} Response
+ * @typedef {import('./types').Middleware} Middleware
+ * @typedef {import('./types').ErrorMiddleware} ErrorMiddleware
+ * @typedef {import('./types').UploadedFile} UploadedFile
+ * @typedef {import('./body').TypeOption} TypeOption
+ * @typedef {import('./compression').Encoding} Encoding
+ * @typedef {import('zlib').ZlibOptions} ZlibOptions
+ * @typedef {import('zlib').BrotliOptions} BrotliOptions
+ * @typedef {import('stream').Transform} Transform
+ * @typedef {import('./multipart').PartHeaders} PartHeaders
+ * @typedef {import('./multipart').PartHandler} PartHandler
+ * @typedef {import('stream').Readable} Readable
+ * @typedef {import('stream').Writable} Writable
+ * @typedef {import('./qs').NestedOptions} NestedOptions
+ * @typedef {import('./qs').NestedObject} NestedObject
+ * @typedef {import('./schema').Schema} Schema
+ * @typedef {import('./errors').ErrorRenderOptions} ErrorRenderOptions
+ */
+
+/**
+ * @typedef JsonBodyParserOptions
+ * @property {number|string=} limit maximum body size in bytes or a string like `1mb`, `100kb` by default
+ * @property {boolean=} strict accept only objects and arrays, `true` by default
+ * @property {TypeOption=} type content types to parse, `application/json` and `*\/*+json` by default
+ * @property {(this: any, key: string, value: any) => any=} reviver `JSON.parse` reviver
+ * @property {boolean=} rawBody keep the raw bytes in `req.rawBody`
+ */
+
+const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+/**
+ * Default content types of body parsers.
  */
+const defaultTypes = {
+  json: ['application/json', '*/*+json'],
+  urlencoded: 'application/x-www-form-urlencoded',
+  text: 'text/plain',
+  raw: 'application/octet-stream'
+};
 
 /**
- * Appends a JSON body parser middleware.
+ * Creates a middleware which reads the whole body and parses it.
  *
- * @param {Request} req
- * @param {Response} res
- * @param {(err?: unknown) => void} next
+ * @param {{ limit?: number|string, type?: TypeOption, rawBody?: boolean }} options
+ * @param {TypeOption} defaultType
+ * @param {(req: Request, buffer: Buffer) => unknown} parse returns the body, `undefined` keeps `req.body` unset
+ * @returns {Middleware}
+ */
+function bufferedBodyParser(options, defaultType, parse) {
+  const limit = parseBytes(options.limit, DEFAULT_BODY_LIMIT);
+  const matches = typeMatcher(options.type || defaultType);
+
+  return (req, res, next) => {
+    if (!hasBody(req) || !matches(req)) {
+      next();
+
+      return;
+    }
+
+    readBody(req, limit)
+      .then(buffer => {
+        if (options.rawBody) req.rawBody = buffer;
+
+        const body = parse(req, buffer);
+
+        if (body !== undefined) req.body = body;
+      })
+      .then(() => next(), next);
+  };
+}
+
+/**
+ * Creates a JSON body parser middleware.
+ *
+ * Requests of other content types and `GET`/`HEAD` requests are passed untouched,
+ * malformed JSON is reported as a 400 error and too large bodies as a 413 error.
+ *
+ * @param {JsonBodyParserOptions=} options
+ * @returns {Middleware}
+ */
+export function jsonBodyParser(options = {}) {
+  const strict = options.strict !== false;
+  const { reviver } = options;
+
+  return bufferedBodyParser(options, defaultTypes.json, (req, buffer) => {
+    const text = decodeBody(req, buffer);
+
+    if (!text.trim()) return undefined;
+
+    if (strict && !/^\s*[[{]/.test(text)) {
+      throw new BadRequestError('JSON body must be an object or an array');
+    }
+
+    try {
+      return JSON.parse(text, reviver);
+    } catch (e) {
+      throw new BadRequestError('malformed JSON body');
+    }
+  });
+}
+
+/**
+ * Appends a JSON body parser middleware with the default options.
+ */
+export const applyJsonBodyParser = jsonBodyParser();
+
+/**
+ * @typedef UrlencodedBodyParserOptions
+ * @property {number|string=} limit maximum body size in bytes or a string like `1mb`, `100kb` by default
+ * @property {number=} parameterLimit maximum number of parameters, 1000 by default
+ * @property {TypeOption=} type content types to parse, `application/x-www-form-urlencoded` by default
+ * @property {string=} defaultCharset charset of bodies without the `charset` parameter, `utf-8` by default
+ * @property {boolean=} rawBody keep the raw bytes in `req.rawBody`
+ */
+
+/**
+ * Creates an URL-encoded form body parser middleware.
+ *
+ * Keys like `user[name]` and `tags[]` produce nested objects and arrays, see `NestedOptions`.
+ * Requests of other content types and `GET`/`HEAD` requests are passed untouched,
+ * too large bodies and too many parameters are reported as a 413 error.
+ *
+ * @param {UrlencodedBodyParserOptions & NestedOptions=} options
+ * @returns {Middleware}
+ */
+export function urlencodedBodyParser(options = {}) {
+  const parameterLimit =
+    options.parameterLimit !== undefined ? options.parameterLimit : 1000;
+
+  return bufferedBodyParser(options, defaultTypes.urlencoded, (req, buffer) =>
+    parseNested(
+      parseUrlencoded(req, buffer, parameterLimit, options.defaultCharset),
+      options
+    )
+  );
+}
+
+/**
+ * @typedef TextBodyParserOptions
+ * @property {number|string=} limit maximum body size in bytes or a string like `1mb`, `100kb` by default
+ * @property {TypeOption=} type content types to parse, `text/plain` by default
+ * @property {string=} defaultCharset charset of bodies without the `charset` parameter, `utf-8` by default
+ * @property {boolean=} rawBody keep the raw bytes in `req.rawBody`
  */
-export function applyJsonBodyParser(req, res, next) {
+
+/**
+ * Creates a text body parser middleware, `req.body` is a string.
+ *
+ * @param {TextBodyParserOptions=} options
+ * @returns {Middleware}
+ */
+export function textBodyParser(options = {}) {
+  return bufferedBodyParser(options, defaultTypes.text, (req, buffer) =>
+    decodeBody(req, buffer, options.defaultCharset)
+  );
+}
+
+/**
+ * @typedef RawBodyParserOptions
+ * @property {number|string=} limit maximum body size in bytes or a string like `1mb`, `100kb` by default
+ * @property {TypeOption=} type content types to parse, `application/octet-stream` by default
+ * @property {boolean=} rawBody keep the bytes in `req.rawBody` too
+ */
+
+/**
+ * Creates a raw body parser middleware, `req.body` is a buffer.
+ *
+ * @param {RawBodyParserOptions=} options
+ * @returns {Middleware}
+ */
+export function rawBodyParser(options = {}) {
+  return bufferedBodyParser(options, defaultTypes.raw, (req, buffer) => buffer);
+}
+
+/**
+ * @typedef BodyParserOptions
+ * @property {(JsonBodyParserOptions | false)=} json JSON parser options, `false` disables the parser
+ * @property {(UrlencodedBodyParserOptions & NestedOptions | false)=} urlencoded URL-encoded form parser options, `false` disables the parser
+ * @property {(TextBodyParserOptions | false)=} text text parser options, `false` disables the parser
+ * @property {(RawBodyParserOptions | false)=} raw raw parser options, `false` disables the parser
+ * @property {boolean=} rawBody keep the raw bytes in `req.rawBody` for all parsers, parser options take precedence
+ */
+
+/**
+ * Creates a body parser middleware which dispatches requests to the JSON, URL-encoded form,
+ * text or raw parser depending on `Content-Type`.
+ *
+ * The first parser accepting the content type is used, the order is the same as above.
+ *
+ * @param {BodyParserOptions=} options
+ * @returns {Middleware}
+ */
+export function bodyParser(options = {}) {
   /**
-   * @type {Uint8Array[]}
+   * @template {{ type?: TypeOption, rawBody?: boolean }} T
+   * @param {T | false | undefined} parserOptions
+   * @param {TypeOption} defaultType
+   * @param {(options: T) => Middleware} factory
+   * @returns {Array<[(req: Request) => boolean, Middleware]>}
    */
-  const body = [];
-
-  req.on('data', chunk => body.push(chunk));
-  req.on('end', () => {
-    if (body.length) {
-      try {
-        req.body = JSON.parse(Buffer.concat(body).toString());
-      } catch (e) {
-        // pass
+  const create = (parserOptions, defaultType, factory) => {
+    if (parserOptions === false) return [];
+
+    const merged = /** @type {T} */ ({
+      rawBody: options.rawBody,
+      ...parserOptions
+    });
+
+    return [[typeMatcher(merged.type || defaultType), factory(merged)]];
+  };
+  const parsers = [
+    ...create(options.json, defaultTypes.json, jsonBodyParser),
+    ...create(
+      options.urlencoded,
+      defaultTypes.urlencoded,
+      urlencodedBodyParser
+    ),
+    ...create(options.text, defaultTypes.text, textBodyParser),
+    ...create(options.raw, defaultTypes.raw, rawBodyParser)
+  ];
+
+  return (req, res, next) => {
+    const parser = hasBody(req)
+      ? parsers.find(([matches]) => matches(req))
+      : undefined;
+
+    if (parser) parser[1](req, res, next);
+    else next();
+  };
+}
+
+/**
+ * @typedef MultipartLimits
+ * @property {number|string=} fileSize maximum size of a single file, `10mb` by default
+ * @property {number|string=} totalSize maximum size of the whole body, `50mb` by default
+ * @property {number|string=} fieldSize maximum size of a single field value, `100kb` by default
+ * @property {number=} files maximum number of files, 10 by default
+ * @property {number=} fields maximum number of fields, 1000 by default
+ */
+
+/**
+ * @typedef MultipartBodyParserOptions
+ * @property {MultipartLimits=} limits
+ * @property {TypeOption=} type content types to parse, `multipart/form-data` by default
+ * @property {string=} dir directory of temporary files, `os.tmpdir()` by default
+ * @property {(file: UploadedFile, stream: Readable) => void | Promise<void>} [onFile]
+ *  receives streams of files instead of saving them to temporary files,
+ *  the stream must be consumed, the parser waits for the returned promise
+ */
+
+/**
+ * Writes a chunk to a stream and waits for draining if it is needed.
+ *
+ * @param {Writable} stream
+ * @param {Buffer} chunk
+ * @returns {Promise<void>|undefined}
+ */
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return undefined;
+
+  return once(stream, 'drain').then(() => {});
+}
+
+/**
+ * Creates a streaming `multipart/form-data` body parser middleware.
+ *
+ * Fields are put to `req.body` (keys like `user[name]` are nested as by `urlencodedBodyParser`),
+ * files are put to `req.files`. Files are written to temporary files removed when the response is closed,
+ * or passed to `options.onFile` as streams.
+ * Requests of other content types and `GET`/`HEAD` requests are passed untouched,
+ * exceeded limits are reported as a 413 error and malformed bodies as a 400 error.
+ *
+ * @param {MultipartBodyParserOptions & NestedOptions=} options
+ * @returns {Middleware}
+ */
+export function multipartBodyParser(options = {}) {
+  const limits = options.limits || {};
+  const fileSize = parseBytes(limits.fileSize, 10 * 1024 * 1024);
+  const totalSize = parseBytes(limits.totalSize, 50 * 1024 * 1024);
+  const fieldSize = parseBytes(limits.fieldSize, DEFAULT_BODY_LIMIT);
+  const maxFiles = limits.files !== undefined ? limits.files : 10;
+  const maxFields = limits.fields !== undefined ? limits.fields : 1000;
+  const matches = typeMatcher(options.type || 'multipart/form-data');
+  const { onFile } = options;
+
+  return (req, res, next) => {
+    if (!hasBody(req) || !matches(req)) {
+      next();
+
+      return;
+    }
+
+    const { boundary } = parseContentType(req.headers['content-type']).params;
+
+    if (!boundary) {
+      next(new BadRequestError('missing multipart boundary'));
+
+      return;
+    }
+
+    /** @type {Readable} */
+    let source;
+
+    try {
+      source = inflateBody(req);
+    } catch (e) {
+      req.resume();
+      next(e);
+
+      return;
+    }
+
+    if (source === req && Number(req.headers['content-length']) > totalSize) {
+      req.resume();
+      next(new PayloadTooLargeError(`request body exceeds ${totalSize} bytes`));
+
+      return;
+    }
+
+    /** @type {Array<[string, string]>} */
+    const fields = [];
+    /** @type {UploadedFile[]} */
+    const files = [];
+    /** @type {Set<Writable>} */
+    const streams = new Set();
+    let done = false;
+
+    res.once('close', () => {
+      for (const file of files) {
+        if (file.path) unlink(file.path, () => {});
+      }
+    });
+
+    /** @param {Error} [err] */
+    const finish = err => {
+      if (done) return;
+
+      done = true;
+      source.unpipe(parser);
+
+      if (err) {
+        for (const stream of streams) stream.destroy(err);
+
+        discardBody(req, source);
+        next(err);
+      } else {
+        req.body = parseNested(fields, options);
+        req.files = files;
+        next();
+      }
+    };
+
+    /**
+     * @param {PartHeaders} headers
+     * @returns {PartHandler}
+     */
+    const onPart = headers => {
+      const { name, filename } = parseDisposition(
+        headers['content-disposition']
+      );
+
+      // parts without names and empty file inputs are skipped
+      if (name === undefined || filename === '') {
+        return { write: () => {}, end: () => {} };
+      }
+
+      if (filename === undefined) {
+        if (fields.length >= maxFields) {
+          throw new PayloadTooLargeError(`more than ${maxFields} fields`);
+        }
+
+        /** @type {Buffer[]} */
+        const chunks = [];
+        let size = 0;
+
+        return {
+          write: chunk => {
+            size += chunk.length;
+
+            if (size > fieldSize) {
+              throw new PayloadTooLargeError(
+                `field "${name}" exceeds ${fieldSize} bytes`
+              );
+            }
+
+            chunks.push(chunk);
+          },
+          end: () => {
+            fields.push([name, Buffer.concat(chunks).toString('utf8')]);
+          }
+        };
+      }
+
+      if (files.length >= maxFiles) {
+        throw new PayloadTooLargeError(`more than ${maxFiles} files`);
+      }
+
+      /** @type {UploadedFile} */
+      const file = {
+        fieldName: name,
+        filename,
+        mimeType: headers['content-type'] || 'application/octet-stream',
+        size: 0
+      };
+      /** @type {Writable} */
+      let stream;
+      /** @type {Promise<unknown>} */
+      let consumed;
+
+      files.push(file);
+
+      if (onFile) {
+        const passThrough = new PassThrough();
+
+        stream = passThrough;
+        consumed = Promise.resolve(onFile(file, passThrough));
+      } else {
+        file.path = join(
+          options.dir || tmpdir(),
+          `simpress-${randomBytes(16).toString('hex')}`
+        );
+        stream = createWriteStream(file.path);
+        consumed = once(stream, 'close');
+      }
+
+      // errors of unfinished files are reported by the parser
+      consumed.catch(() => {});
+      streams.add(stream);
+
+      return {
+        write: chunk => {
+          file.size += chunk.length;
+
+          if (file.size > fileSize) {
+            throw new PayloadTooLargeError(
+              `file "${filename}" exceeds ${fileSize} bytes`
+            );
+          }
+
+          return writeChunk(stream, chunk);
+        },
+        end: () => {
+          stream.end();
+
+          return consumed.then(() => {
+            streams.delete(stream);
+          });
+        }
+      };
+    };
+
+    const parser = new MultipartParser(boundary, totalSize, onPart);
+
+    parser.once('finish', () => finish());
+    parser.once('error', finish);
+    if (source !== req) source.once('error', finish);
+    req.once('close', () => {
+      if (!req.complete) finish(new BadRequestError('request aborted'));
+    });
+    source.pipe(parser);
+  };
+}
+
+/**
+ * @typedef CompressionOptions
+ * @property {number|string=} threshold minimum size of bodies to compress, `1kb` by default, streamed bodies of unknown size are always compressed
+ * @property {Encoding[]=} encodings supported encodings in the order of preference, `['br', 'gzip', 'deflate']` by default
+ * @property {((req: Request, res: Response) => boolean)=} filter whether the response may be compressed, compressible content types by default
+ * @property {ZlibOptions=} zlib gzip and deflate options
+ * @property {BrotliOptions=} brotli brotli options
+ */
+
+/**
+ * Splits `res.write` and `res.end` arguments.
+ *
+ * @param {unknown[]} args
+ * @returns {{ chunk: unknown, encoding: BufferEncoding|undefined, callback: (() => void)|undefined }}
+ */
+function splitWriteArgs(args) {
+  const [chunk, encoding] = args;
+
+  return {
+    chunk: typeof chunk === 'function' ? undefined : chunk,
+    encoding:
+      typeof encoding === 'string'
+        ? /** @type {BufferEncoding} */ (encoding)
+        : undefined,
+    callback: /** @type {(() => void)|undefined} */ (
+      args.find(arg => typeof arg === 'function')
+    )
+  };
+}
+
+/**
+ * Creates a response compression middleware.
+ *
+ * The encoding is negotiated by `Accept-Encoding` when the first chunk of the body is written,
+ * responses which have already been encoded, have the `no-transform` cache directive,
+ * or have flushed headers are sent as is. Responses to `HEAD` requests get the same headers
+ * as `GET` ones, but their dropped bodies are not compressed.
+ * `res.flush()` sends the data buffered by the compressor, e.g. for server-sent events.
+ *
+ * @param {CompressionOptions=} options
+ * @returns {Middleware}
+ */
+export function compression(options = {}) {
+  const threshold = parseBytes(options.threshold, 1024);
+  const encodings = options.encodings || ['br', 'gzip', 'deflate'];
+  const filter =
+    options.filter ||
+    ((req, res) => isCompressible(res.getHeader('Content-Type')));
+
+  return (req, res, next) => {
+    const write = /** @type {(...args: any[]) => boolean} */ (res.write);
+    const end = /** @type {(...args: any[]) => unknown} */ (res.end);
+    /** @type {Transform|null} */
+    let stream = null;
+    let started = false;
+
+    /**
+     * Starts compression if the response is suitable.
+     *
+     * @param {number|undefined} length size of the whole body if it is known
+     */
+    const start = length => {
+      started = true;
+
+      if (res.headersSent || !filter(req, res)) return;
+
+      res.vary('Accept-Encoding');
+
+      const contentEncoding = res.getHeader('Content-Encoding');
+      const cacheControl = res.getHeader('Cache-Control');
+
+      if (contentEncoding && contentEncoding !== 'identity') return;
+      if (/\bno-transform\b/i.test(String(cacheControl || ''))) return;
+
+      const size =
+        length === undefined && res.hasHeader('Content-Length')
+          ? Number(res.getHeader('Content-Length'))
+          : length;
+
+      if (size !== undefined && size < threshold) return;
+
+      const encoding = negotiateEncoding(
+        req.headers['accept-encoding'],
+        encodings
+      );
+
+      if (!encoding) return;
+
+      res.setHeader('Content-Encoding', encoding);
+      res.removeHeader('Content-Length');
+
+      if (req.method === 'HEAD') {
+        // the compressed size is unknown, so the length of the dropped body must not be sent
+        res.flushHeaders();
+
+        return;
+      }
+
+      const compressor = createCompressor(encoding, options);
+
+      compressor.on('data', chunk => {
+        if (!write.call(res, chunk)) compressor.pause();
+      });
+      compressor.on('end', () => end.call(res));
+      compressor.on('drain', () => res.emit('drain'));
+      res.on('drain', () => compressor.resume());
+      res.once('close', () => compressor.destroy());
+      stream = compressor;
+    };
+
+    /** @type {any} */ (res).write = (/** @type {unknown[]} */ ...args) => {
+      if (!started) start(undefined);
+      if (!stream) return write.apply(res, args);
+
+      const { chunk, encoding, callback } = splitWriteArgs(args);
+
+      return encoding
+        ? stream.write(chunk, encoding, callback)
+        : stream.write(chunk, callback);
+    };
+
+    /** @type {any} */ (res).end = (/** @type {unknown[]} */ ...args) => {
+      const { chunk, encoding, callback } = splitWriteArgs(args);
+
+      if (!started) {
+        if (typeof chunk === 'string') {
+          start(Buffer.byteLength(chunk, encoding));
+        } else {
+          start(chunk instanceof Uint8Array ? chunk.byteLength : 0);
+        }
       }
+
+      if (!stream) return end.apply(res, args);
+
+      if (callback) res.once('finish', callback);
+
+      if (chunk === undefined || chunk === null) stream.end();
+      else if (encoding) stream.end(chunk, encoding);
+      else stream.end(chunk);
+
+      return res;
+    };
+
+    res.flush = () => {
+      if (stream) /** @type {Transform & { flush(): void }} */ (stream).flush();
+    };
+
+    next();
+  };
+}
+
+/**
+ * @typedef QueryParserOptions
+ * @property {number=} parameterLimit maximum number of parameters, 1000 by default
+ * @property {boolean=} coerce convert values looking like numbers and booleans, `false` by default
+ */
+
+/**
+ * Creates a query params parser middleware, the result is put to `req.queryParams`.
+ *
+ * Keys like `filter[name]` and `ids[]` produce nested objects and arrays, see `NestedOptions`,
+ * too many parameters are reported as a 400 error.
+ *
+ * @param {QueryParserOptions & NestedOptions=} options
+ * @returns {Middleware}
+ */
+export function queryParser(options = {}) {
+  const parameterLimit =
+    options.parameterLimit !== undefined ? options.parameterLimit : 1000;
+
+  return (req, res, next) => {
+    const entries = Array.from(new URLSearchParams(req.search));
+
+    if (entries.length > parameterLimit) {
+      next(new BadRequestError(`more than ${parameterLimit} query parameters`));
+
+      return;
     }
 
+    const query = parseNested(entries, options);
+
+    req.queryParams = options.coerce
+      ? /** @type {NestedObject} */ (coerceValues(query))
+      : query;
     next();
-  });
+  };
 }
 
 /**
- * Appends a query params parser middleware.
+ * Appends a query params parser middleware with the default options.
+ */
+export const applyQueryParamsParser = queryParser();
+
+/**
+ * Appends a path params parser middleware.
+ *
+ * Params are decoded, e.g. `/users/a%2Fb` gives `a/b` for `/users/:id`.
  *
  * @param {Request} req
  * @param {Response} res
  * @param {(err?: unknown) => void} next
  */
-export function applyQueryParamsParser(req, res, next) {
-  req.queryParams = url.parse(req.url ? req.url : '', true).query;
+export function applyPathParamsParser(req, res, next) {
+  const matches = req.path.match(req.pathRegex);
+
+  if (matches && matches.groups) {
+    /** @type {Record<string, string|undefined>} */
+    const params = {};
+
+    for (const [name, value] of Object.entries(matches.groups)) {
+      params[name] = value === undefined ? value : decodeURIComponent(value);
+    }
+
+    req.pathParams = params;
+  } else {
+    req.pathParams = null;
+  }
+
   next();
 }
 
 /**
- * Appends a path params parser middleware.
+ * @typedef RequestSchemas
+ * @property {Schema=} body schema of `req.body`
+ * @property {Schema=} query schema of `req.queryParams`, strings are coerced to expected types
+ * @property {Schema=} params schema of `req.pathParams`, strings are coerced to expected types
+ * @property {Record<string, Schema>=} response schemas of `res.json` bodies by status codes, `default` matches other statuses
+ *
+ * @typedef ValidateOptions
+ * @property {('throw' | 'warn' | 'off')=} response what to do with invalid responses:
+ * respond with a 500 `RESPONSE_VALIDATION_FAILED` error instead of the body, log a warning or skip the check,
+ * it is `off` in production, `throw` in tests and `warn` otherwise by default
+ *
+ * @typedef {Middleware & { schemas: RequestSchemas }} ValidationMiddleware
+ */
+
+/**
+ * Returns the response validation mode of the environment.
+ *
+ * @returns {'throw' | 'warn' | 'off'}
+ */
+function getResponseMode() {
+  switch (process.env.NODE_ENV) {
+    case 'production':
+      return 'off';
+    case 'test':
+      return 'throw';
+    default:
+      return 'warn';
+  }
+}
+
+/**
+ * Validates bodies sent by `res.json` against the response schemas.
  *
  * @param {Request} req
  * @param {Response} res
- * @param {(err?: unknown) => void} next
+ * @param {Record<string, Schema>} schemas
+ * @param {'throw' | 'warn'} mode
  */
-export function applyPathParamsParser(req, res, next) {
-  const matches = req.url ? req.url.match(req.pathRegex) : null;
+function validateResponse(req, res, schemas, mode) {
+  const json = res.json;
 
-  req.pathParams = matches && matches.groups ? matches.groups : null;
-  next();
+  res.json = body => {
+    const schema = schemas[res.statusCode] || schemas.default;
+
+    if (!schema) return json(body);
+
+    // the serialized value is checked, e.g. dates are sent as strings
+    const value = body === undefined ? body : JSON.parse(JSON.stringify(body));
+    const { errors } = validateSchema(schema, value, { path: 'response' });
+
+    if (errors.length) {
+      const message = 'response validation failed';
+
+      if (mode === 'throw') {
+        const err = new InternalServerError(message, {
+          code: 'RESPONSE_VALIDATION_FAILED',
+          details: errors
+        });
+
+        // the invalid body is not sent, `res.json` may be called outside of the chain
+        sendError(err, req, res, res.errorOptions);
+
+        return res;
+      }
+
+      console.warn(`${req.method} ${req.originalUrl}: ${message}`, errors);
+    }
+
+    return json(body);
+  };
+}
+
+/**
+ * Creates a request validation middleware.
+ *
+ * Valid values are replaced by their coerced copies with defaults.
+ * All violations are collected to the `details` of a `VALIDATION_FAILED` error:
+ * it is a 400 error if the query or path params are invalid and a 422 error if only the body is invalid.
+ * Responses are validated only in development and tests, see `ValidateOptions`;
+ * invalid responses are rendered with the error options of the application, error middlewares are not called.
+ * The schemas are available as the `schemas` property of the middleware.
+ *
+ * @param {RequestSchemas} schemas
+ * @param {ValidateOptions=} options
+ * @returns {ValidationMiddleware}
+ */
+export function validate(schemas, options = {}) {
+  const responseMode = options.response || getResponseMode();
+
+  /** @type {Middleware} */
+  const middleware = (req, res, next) => {
+    const params = schemas.params
+      ? validateSchema(schemas.params, req.pathParams || {}, {
+          path: 'params',
+          coerce: true
+        })
+      : null;
+    const query = schemas.query
+      ? validateSchema(schemas.query, req.queryParams || {}, {
+          path: 'query',
+          coerce: true
+        })
+      : null;
+    const body = schemas.body
+      ? validateSchema(schemas.body, req.body, { path: 'body' })
+      : null;
+    const errors = [params, query, body].flatMap(result =>
+      result ? result.errors : []
+    );
+
+    if (errors.length) {
+      const options = { code: 'VALIDATION_FAILED', details: errors };
+
+      next(
+        (params && params.errors.length) || (query && query.errors.length)
+          ? new BadRequestError('request validation failed', options)
+          : new UnprocessableEntityError('request validation failed', options)
+      );
+
+      return;
+    }
+
+    if (params) {
+      req.pathParams = /** @type {Record<string, unknown>} */ (params.value);
+    }
+
+    if (query) req.queryParams = /** @type {NestedObject} */ (query.value);
+    if (body) req.body = body.value;
+
+    if (schemas.response && responseMode !== 'off') {
+      validateResponse(req, res, schemas.response, responseMode);
+    }
+
+    next();
+  };
+
+  return Object.assign(middleware, { schemas });
 }
 
 /**
@@ -80,3 +880,16 @@ export function applyConsoleLogger(req, res, next) {
 
   next();
 }
+
+/**
+ * Creates an error middleware which responds with a JSON error document.
+ *
+ * `HttpError` instances are rendered with their status, code and details,
+ * other errors are rendered as internal server errors unless they have an error `status`.
+ *
+ * @param {ErrorRenderOptions=} options
+ * @returns {ErrorMiddleware}
+ */
+export function errorResponder(options) {
+  return (err, req, res) => sendError(err, req, res, options);
+}
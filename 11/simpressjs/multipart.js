@@ -0,0 +1,252 @@
+import { Writable } from 'stream';
+
+import { parseContentType } from './body';
+import { BadRequestError, PayloadTooLargeError } from './errors';
+
+/**
+ * @typedef {Record<string, string>} PartHeaders
+ *
+ * @typedef PartHandler
+ * @property {(chunk: Buffer) => void | Promise<void>} write receives the next chunk of the part body
+ * @property {() => void | Promise<void>} end is called when the part body is over
+ */
+
+/**
+ * Maximum size of headers of a single part.
+ */
+const MAX_HEADERS_SIZE = 16 * 1024;
+
+const CRLF = Buffer.from('\r\n');
+const HEADERS_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Parses part headers.
+ *
+ * @param {string} str
+ * @returns {PartHeaders}
+ */
+function parseHeaders(str) {
+  /** @type {PartHeaders} */
+  const headers = {};
+
+  for (const line of str.split('\r\n')) {
+    const index = line.indexOf(':');
+
+    if (index <= 0) {
+      throw new BadRequestError('malformed multipart part headers');
+    }
+
+    headers[line.slice(0, index).trim().toLowerCase()] = line
+      .slice(index + 1)
+      .trim();
+  }
+
+  return headers;
+}
+
+/**
+ * Parses a `Content-Disposition` header of a part.
+ *
+ * @param {string|undefined} header
+ * @returns {{ name?: string, filename?: string }}
+ */
+export function parseDisposition(header) {
+  const { type, params } = parseContentType(header);
+
+  return type === 'form-data'
+    ? { name: params.name, filename: params.filename }
+    : {};
+}
+
+/**
+ * A writable stream which splits a `multipart/form-data` body to parts.
+ *
+ * Part bodies are passed to handlers without buffering, the stream waits for promises
+ * returned by handlers, so slow consumers slow the request down instead of filling the memory.
+ */
+export class MultipartParser extends Writable {
+  /**
+   * @readonly
+   * @private
+   * @type {Buffer}
+   */
+  _delimiter;
+
+  /**
+   * @readonly
+   * @private
+   * @type {number}
+   */
+  _limit;
+
+  /**
+   * @readonly
+   * @private
+   * @type {(headers: PartHeaders) => PartHandler}
+   */
+  _onPart;
+
+  /**
+   * @private
+   * @type {'preamble' | 'delimiter' | 'headers' | 'body' | 'end'}
+   */
+  _state;
+
+  /**
+   * Unprocessed bytes.
+   *
+   * @private
+   * @type {Buffer}
+   */
+  _buffer;
+
+  /**
+   * @private
+   * @type {PartHandler|null}
+   */
+  _part;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  _received;
+
+  /**
+   * @param {string} boundary
+   * @param {number} limit maximum body size in bytes
+   * @param {(headers: PartHeaders) => PartHandler} onPart creates a handler of each part
+   */
+  constructor(boundary, limit, onPart) {
+    super();
+
+    this._delimiter = Buffer.from(`\r\n--${boundary}`);
+    this._limit = limit;
+    this._onPart = onPart;
+    this._state = 'preamble';
+    // the first delimiter may be not preceded by a line break
+    this._buffer = CRLF;
+    this._part = null;
+    this._received = 0;
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @param {BufferEncoding} encoding
+   * @param {(err?: Error | null) => void} callback
+   */
+  _write(chunk, encoding, callback) {
+    this._received += chunk.length;
+
+    if (this._received > this._limit) {
+      callback(
+        new PayloadTooLargeError(`request body exceeds ${this._limit} bytes`)
+      );
+
+      return;
+    }
+
+    this._process(chunk).then(() => callback(), callback);
+  }
+
+  /**
+   * @param {(err?: Error | null) => void} callback
+   */
+  _final(callback) {
+    callback(
+      this._state === 'end'
+        ? null
+        : new BadRequestError('unexpected end of multipart body')
+    );
+  }
+
+  /**
+   * @private
+   * @param {Buffer} chunk
+   */
+  async _process(chunk) {
+    const delimiter = this._delimiter;
+    let buffer = Buffer.concat([this._buffer, chunk]);
+
+    for (;;) {
+      if (this._state === 'preamble') {
+        const index = buffer.indexOf(delimiter);
+
+        if (index === -1) {
+          buffer = buffer.subarray(
+            Math.max(buffer.length - delimiter.length + 1, 0)
+          );
+
+          break;
+        }
+
+        buffer = buffer.subarray(index + delimiter.length);
+        this._state = 'delimiter';
+      } else if (this._state === 'delimiter') {
+        if (buffer.length < 2) break;
+
+        const suffix = buffer.toString('latin1', 0, 2);
+
+        if (suffix === '--') {
+          this._state = 'end';
+        } else if (suffix === '\r\n') {
+          buffer = buffer.subarray(2);
+          this._state = 'headers';
+        } else {
+          throw new BadRequestError('malformed multipart body');
+        }
+      } else if (this._state === 'headers') {
+        // a part without headers starts with the empty line
+        const empty = buffer.subarray(0, 2).equals(CRLF);
+        const index = empty ? 0 : buffer.indexOf(HEADERS_END);
+
+        if (index === -1) {
+          if (buffer.length > MAX_HEADERS_SIZE) {
+            throw new BadRequestError('multipart part headers are too large');
+          }
+
+          break;
+        }
+
+        const headers = empty
+          ? {}
+          : parseHeaders(buffer.toString('utf8', 0, index));
+
+        buffer = buffer.subarray(
+          empty ? CRLF.length : index + HEADERS_END.length
+        );
+        this._part = this._onPart(headers);
+        this._state = 'body';
+      } else if (this._state === 'body') {
+        const part = /** @type {PartHandler} */ (this._part);
+        const index = buffer.indexOf(delimiter);
+
+        if (index === -1) {
+          // the tail may be the beginning of the delimiter
+          const size = buffer.length - delimiter.length + 1;
+
+          if (size > 0) {
+            await part.write(buffer.subarray(0, size));
+            buffer = buffer.subarray(size);
+          }
+
+          break;
+        }
+
+        if (index > 0) await part.write(buffer.subarray(0, index));
+
+        await part.end();
+        buffer = buffer.subarray(index + delimiter.length);
+        this._part = null;
+        this._state = 'delimiter';
+      } else {
+        // the epilogue is ignored
+        buffer = Buffer.alloc(0);
+
+        break;
+      }
+    }
+
+    this._buffer = buffer;
+  }
+}
@@ -0,0 +1,270 @@
+import { STATUS_CODES } from 'http';
+
+import { expandOptional, parsePath } from './path';
+
+/**
+ * @typedef {import('./path').PathToken} PathToken
+ * @typedef {import('./route').Route} Route
+ * @typedef {import('./tree').RouteEntry} RouteEntry
+ * @typedef {import('./schema').Schema} Schema
+ * @typedef {import('./middlewares').RequestSchemas} RequestSchemas
+ * @typedef {import('./types').RequestListener} RequestListener
+ */
+
+/**
+ * @typedef OpenAPIInfo
+ * @property {string} title
+ * @property {string} version
+ * @property {string=} description
+ *
+ * @typedef OpenAPIServer
+ * @property {string} url
+ * @property {string=} description
+ *
+ * @typedef OpenAPIOptions
+ * @property {OpenAPIInfo} info
+ * @property {OpenAPIServer[]=} servers
+ *
+ * @typedef OpenAPIParameter
+ * @property {string} name
+ * @property {'path' | 'query'} in
+ * @property {boolean} required
+ * @property {Schema} schema
+ * @property {string=} description
+ * @property {'deepObject'=} style
+ * @property {boolean=} explode
+ *
+ * @typedef OpenAPIResponse
+ * @property {string} description
+ * @property {Record<string, { schema: Schema }>=} content
+ *
+ * @typedef OpenAPIOperation
+ * @property {string=} summary
+ * @property {string=} description
+ * @property {string[]=} tags
+ * @property {string=} operationId
+ * @property {boolean=} deprecated
+ * @property {OpenAPIParameter[]=} parameters
+ * @property {{ required: boolean, content: Record<string, { schema: Schema }> }=} requestBody
+ * @property {Record<string, OpenAPIResponse>} responses
+ *
+ * @typedef OpenAPIDocument
+ * @property {string} openapi
+ * @property {OpenAPIInfo} info
+ * @property {OpenAPIServer[]=} servers
+ * @property {Record<string, Record<string, OpenAPIOperation>>} paths
+ */
+
+/**
+ * Methods supported by OpenAPI path items.
+ */
+const METHODS = [
+  'get',
+  'put',
+  'post',
+  'delete',
+  'options',
+  'head',
+  'patch',
+  'trace'
+];
+
+/**
+ * Converts path tokens to an OpenAPI path template, e.g. `/users/{id}`.
+ *
+ * @param {PathToken[]} tokens
+ * @returns {string}
+ */
+function toTemplate(tokens) {
+  return (
+    tokens
+      .map(token =>
+        token.type === 'static' ? token.value : `${token.prefix}{${token.name}}`
+      )
+      .join('') || '/'
+  );
+}
+
+/**
+ * Collects schemas of validation middlewares of a route.
+ *
+ * @param {Route} route
+ * @returns {RequestSchemas}
+ */
+function collectSchemas(route) {
+  /** @type {RequestSchemas} */
+  const schemas = {};
+
+  for (const middleware of route.middlewares) {
+    const { schemas: own } = /** @type {{ schemas?: RequestSchemas }} */ (
+      middleware
+    );
+
+    if (own) Object.assign(schemas, own);
+  }
+
+  return schemas;
+}
+
+/**
+ * Creates parameters of a path variant.
+ *
+ * @param {PathToken[]} tokens
+ * @param {RequestSchemas} schemas
+ * @returns {OpenAPIParameter[]}
+ */
+function toParameters(tokens, schemas) {
+  /** @type {OpenAPIParameter[]} */
+  const parameters = [];
+  const params = (schemas.params && schemas.params.properties) || {};
+  const query = schemas.query || {};
+
+  for (const token of tokens) {
+    if (token.type === 'static') continue;
+
+    const pattern = token.type === 'param' ? token.pattern : null;
+
+    parameters.push({
+      name: token.name,
+      in: 'path',
+      required: true,
+      schema:
+        params[token.name] ||
+        (pattern
+          ? { type: 'string', pattern: `^(?:${pattern})$` }
+          : { type: 'string' })
+    });
+  }
+
+  for (const [name, schema] of Object.entries(query.properties || {})) {
+    /** @type {OpenAPIParameter} */
+    const parameter = {
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      schema
+    };
+
+    if (schema.description) parameter.description = schema.description;
+
+    // nested objects are sent as `filter[name]=x`
+    if (schema.type === 'object') {
+      parameter.style = 'deepObject';
+      parameter.explode = true;
+    }
+
+    parameters.push(parameter);
+  }
+
+  return parameters;
+}
+
+/**
+ * Creates an operation object of a route.
+ *
+ * @param {Route} route
+ * @param {PathToken[]} tokens
+ * @returns {OpenAPIOperation}
+ */
+function toOperation(route, tokens) {
+  const { summary, description, tags, operationId, deprecated } = route.meta;
+  const schemas = collectSchemas(route);
+  const descriptions = route.meta.responses || {};
+  const parameters = toParameters(tokens, schemas);
+  /** @type {Record<string, OpenAPIResponse>} */
+  const responses = {};
+  const statuses = new Set([
+    ...Object.keys(schemas.response || {}),
+    ...Object.keys(descriptions)
+  ]);
+
+  for (const status of statuses) {
+    const schema = schemas.response && schemas.response[status];
+
+    responses[status] = {
+      description: descriptions[status]
+        ? descriptions[status].description
+        : STATUS_CODES[status] || 'Default response'
+    };
+
+    if (schema) {
+      responses[status].content = { 'application/json': { schema } };
+    }
+  }
+
+  /** @type {OpenAPIOperation} */
+  const operation = {
+    summary,
+    description,
+    tags,
+    operationId,
+    deprecated,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: schemas.body
+      ? {
+          required: true,
+          content: { 'application/json': { schema: schemas.body } }
+        }
+      : undefined,
+    responses: statuses.size
+      ? responses
+      : { default: { description: 'Default response' } }
+  };
+
+  // unset fields are omitted
+  for (const key of /** @type {Array<keyof OpenAPIOperation>} */ (
+    Object.keys(operation)
+  )) {
+    if (operation[key] === undefined) delete operation[key];
+  }
+
+  return operation;
+}
+
+/**
+ * Builds an OpenAPI 3.1 document of routes.
+ *
+ * Routes declared by regular expressions, hidden routes and routes with non-standard methods are skipped,
+ * optional path parameters produce separate paths with and without the parameter.
+ *
+ * @param {Iterable<RouteEntry>} routes routes with full path patterns
+ * @param {OpenAPIOptions} options
+ * @returns {OpenAPIDocument}
+ */
+export function buildOpenAPI(routes, options) {
+  /** @type {OpenAPIDocument} */
+  const document = { openapi: '3.1.0', info: options.info, paths: {} };
+
+  if (options.servers) document.servers = options.servers;
+
+  for (const { route, pattern } of routes) {
+    const method = route.method.toLowerCase();
+
+    if (pattern === null || route.meta.hidden) continue;
+    if (!METHODS.includes(method)) continue;
+
+    for (const tokens of expandOptional(parsePath(pattern))) {
+      const path = toTemplate(tokens);
+      const item = document.paths[path] || (document.paths[path] = {});
+
+      item[method] = toOperation(route, tokens);
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Creates a request listener which serves the OpenAPI document of an application.
+ *
+ * The document is built on each request, so it reflects routes added later.
+ *
+ * @param {{ toOpenAPI(options: OpenAPIOptions): OpenAPIDocument }} app
+ * @param {OpenAPIOptions} options
+ * @returns {RequestListener}
+ */
+export function serveOpenAPI(app, options) {
+  return (req, res) => {
+    res.json(app.toOpenAPI(options));
+  };
+}
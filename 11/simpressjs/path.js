@@ -0,0 +1,271 @@
+/**
+ * @typedef {{ type: 'static', value: string }} StaticToken
+ * @typedef {{ type: 'param', name: string, pattern: string | null, optional: boolean, prefix: string }} ParamToken
+ * @typedef {{ type: 'wildcard', name: string, prefix: string }} WildcardToken
+ * @typedef {StaticToken | ParamToken | WildcardToken} PathToken
+ */
+
+const DEFAULT_PARAM_PATTERN = '[^\\/]+?';
+const WILDCARD_PATTERN = '.*';
+
+/**
+ * Escapes regular expression metacharacters.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Reads a parameter name starting at the specified position.
+ *
+ * @param {string} path
+ * @param {number} start
+ * @returns {string}
+ */
+function readName(path, start) {
+  const match = /^[A-Za-z_$][\w$]*/.exec(path.slice(start));
+
+  return match ? match[0] : '';
+}
+
+/**
+ * Reads a parenthesized parameter constraint starting at the specified position.
+ *
+ * @param {string} path
+ * @param {number} start position of the opening parenthesis
+ * @returns {string}
+ */
+function readConstraint(path, start) {
+  let depth = 1;
+  let i = start + 1;
+
+  for (; i < path.length && depth; ++i) {
+    if (path[i] === '\\') ++i;
+    else if (path[i] === '(') ++depth;
+    else if (path[i] === ')') --depth;
+  }
+
+  if (depth) {
+    throw new TypeError(`unbalanced parameter constraint in path "${path}"`);
+  }
+
+  return path.slice(start + 1, i - 1);
+}
+
+/**
+ * Splits a path pattern into static, parameter and wildcard tokens.
+ *
+ * Supported syntax:
+ * - `/users/:id` - named parameter matching a single segment;
+ * - `/users/:id(\\d+)` - named parameter with a regular expression constraint;
+ * - `/:lang?` - optional parameter, the leading slash is optional too;
+ * - `/files/*` - wildcard matching the rest of the path;
+ * - `\\:` - escaped character which is matched literally.
+ *
+ * @param {string} path path pattern
+ * @returns {PathToken[]}
+ */
+export function parsePath(path) {
+  /** @type {PathToken[]} */
+  const tokens = [];
+  let literal = '';
+  let wildcards = 0;
+
+  /**
+   * Moves the trailing slash of the pending literal to the returned prefix.
+   *
+   * @returns {string}
+   */
+  const takePrefix = () => {
+    if (!literal.endsWith('/')) return '';
+
+    literal = literal.slice(0, -1);
+
+    return '/';
+  };
+
+  const flush = () => {
+    if (literal) tokens.push({ type: 'static', value: literal });
+
+    literal = '';
+  };
+
+  for (let i = 0; i < path.length; ++i) {
+    const char = path[i];
+
+    if (char === '\\' && i + 1 < path.length) {
+      literal += path[++i];
+    } else if (char === ':' && readName(path, i + 1)) {
+      const name = readName(path, i + 1);
+      const prefix = takePrefix();
+      let pattern = null;
+      let optional = false;
+
+      i += name.length;
+
+      if (path[i + 1] === '(') {
+        pattern = readConstraint(path, i + 1);
+        i += pattern.length + 2;
+      }
+
+      if (path[i + 1] === '?') {
+        optional = true;
+        ++i;
+      }
+
+      flush();
+      tokens.push({ type: 'param', name, pattern, optional, prefix });
+    } else if (char === '*') {
+      const prefix = takePrefix();
+
+      flush();
+      tokens.push({
+        type: 'wildcard',
+        name: wildcards ? `wildcard${wildcards}` : 'wildcard',
+        prefix
+      });
+      ++wildcards;
+    } else {
+      literal += char;
+    }
+  }
+
+  flush();
+
+  return tokens;
+}
+
+/**
+ * Expands optional parameters to path variants with and without each of them.
+ *
+ * @param {PathToken[]} tokens
+ * @returns {PathToken[][]}
+ */
+export function expandOptional(tokens) {
+  /** @type {PathToken[][]} */
+  let variants = [[]];
+
+  for (const token of tokens) {
+    /** @type {PathToken[][]} */
+    const next = [];
+
+    for (const variant of variants) {
+      if (token.type === 'param' && token.optional) next.push(variant);
+
+      next.push([...variant, token]);
+    }
+
+    variants = next;
+  }
+
+  return variants;
+}
+
+/**
+ * Converts path tokens to a regular expression source.
+ *
+ * @param {PathToken[]} tokens
+ * @returns {string}
+ */
+export function tokensToSource(tokens) {
+  return tokens
+    .map(token => {
+      switch (token.type) {
+        case 'static':
+          return escapeRegExp(token.value);
+        case 'param':
+          return (
+            '(?:' +
+            escapeRegExp(token.prefix) +
+            `(?<${token.name}>${token.pattern || DEFAULT_PARAM_PATTERN}))` +
+            (token.optional ? '?' : '')
+          );
+        case 'wildcard':
+          return (
+            escapeRegExp(token.prefix) + `(?<${token.name}>${WILDCARD_PATTERN})`
+          );
+      }
+    })
+    .join('');
+}
+
+/**
+ * Compiles a path pattern to a regular expression.
+ *
+ * Named parameters and wildcards become named capture groups,
+ * so they are available in `groups` of the match result.
+ *
+ * @param {string} path path pattern
+ * @returns {RegExp}
+ */
+export function compilePath(path) {
+  return new RegExp('^' + tokensToSource(parsePath(path)) + '\\/?$');
+}
+
+/**
+ * Returns a route path regular expression.
+ *
+ * @param {string|RegExp} path path pattern or regular expression
+ * @returns {RegExp}
+ */
+export function toPathRegExp(path) {
+  return typeof path === 'string' ? compilePath(path) : path;
+}
+
+/**
+ * Normalizes a router prefix: adds the leading slash and drops trailing ones.
+ *
+ * @param {string} prefix
+ * @returns {string} an empty string for the root prefix
+ */
+export function normalizePrefix(prefix) {
+  return (prefix.startsWith('/') ? prefix : '/' + prefix).replace(/\/+$/, '');
+}
+
+/**
+ * Prepends a prefix to a path pattern.
+ *
+ * @param {string} prefix normalized prefix pattern
+ * @param {string} path path pattern
+ * @returns {string}
+ */
+export function joinPaths(prefix, path) {
+  if (!prefix) return path;
+
+  // the root route of a prefixed router matches the prefix itself
+  return path === '/' || path === '' ? prefix : prefix + path;
+}
+
+/**
+ * Prepends a prefix to a route path regular expression.
+ *
+ * The expression is matched against the rest of the path after the prefix,
+ * so it should be anchored by `^` to start right after the prefix.
+ *
+ * @param {string} prefix normalized prefix pattern
+ * @param {RegExp} path route path regular expression
+ * @returns {RegExp}
+ */
+export function prefixPathRegExp(prefix, path) {
+  if (!prefix) return path;
+
+  const { source } = path;
+  const rest = source.startsWith('^')
+    ? `(?:${source.slice(1)})`
+    : `[^]*?(?:${source})`;
+
+  return new RegExp('^' + tokensToSource(parsePath(prefix)) + rest, path.flags);
+}
+
+/**
+ * Compiles a mount path to a regular expression matching paths which start with it.
+ *
+ * @param {string} prefix normalized mount path
+ * @returns {RegExp}
+ */
+export function compilePrefix(prefix) {
+  return new RegExp('^' + tokensToSource(parsePath(prefix)) + '(?=\\/|$)');
+}
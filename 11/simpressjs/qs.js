@@ -0,0 +1,197 @@
+/**
+ * @typedef NestedOptions
+ * @property {number=} depth maximum nesting depth of keys like `a[b][c]`, deeper parts are kept as literal keys, 5 by default
+ * @property {number=} arrayLimit maximum array index, greater indices become object keys, 20 by default
+ *
+ * @typedef {string | number | boolean | NestedArray | NestedObject} NestedValue
+ * @typedef {{ [key: string]: NestedValue }} NestedObject
+ * @typedef {Array<NestedValue>} NestedArray
+ */
+
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Splits a key like `a[b][]` to a path like `['a', 'b', '']`.
+ *
+ * @param {string} key
+ * @param {number} depth
+ * @returns {string[]}
+ */
+function parseKey(key, depth) {
+  const open = key.indexOf('[');
+
+  if (open <= 0 || !depth) return [key];
+
+  const path = [key.slice(0, open)];
+  let rest = key.slice(open);
+  let match;
+
+  while (path.length <= depth && (match = /^\[([^[\]]*)\]/.exec(rest))) {
+    path.push(match[1]);
+    rest = rest.slice(match[0].length);
+  }
+
+  if (path.length === 1) return [key];
+
+  // the part beyond the depth is kept literally
+  if (rest) path.push(rest);
+
+  return path;
+}
+
+/**
+ * @param {string} key
+ * @param {number} arrayLimit
+ * @returns {boolean}
+ */
+function isIndex(key, arrayLimit) {
+  return /^\d+$/.test(key) && Number(key) <= arrayLimit;
+}
+
+/**
+ * Converts an array to an object with index keys.
+ *
+ * @param {NestedArray} array
+ * @returns {NestedObject}
+ */
+function toObject(array) {
+  /** @type {NestedObject} */
+  const object = Object.create(null);
+
+  array.forEach((value, index) => {
+    object[index] = value;
+  });
+
+  return object;
+}
+
+/**
+ * Sets a value by a path, repeated keys are collected to arrays.
+ *
+ * @param {NestedObject} root
+ * @param {string[]} path
+ * @param {string} value
+ * @param {number} arrayLimit
+ */
+function setValue(root, path, value, arrayLimit) {
+  /** @type {any} */
+  let parent = null;
+  let parentKey = '';
+  /** @type {any} */
+  let node = root;
+
+  for (let i = 0; i < path.length; ++i) {
+    let key = path[i];
+
+    // `a[]` appends to the end
+    if (key === '') {
+      key = String(
+        Array.isArray(node) ? node.length : Object.keys(node).length
+      );
+    }
+
+    if (Array.isArray(node) && !isIndex(key, arrayLimit)) {
+      node = toObject(node);
+      parent[parentKey] = node;
+    }
+
+    if (i === path.length - 1) {
+      const prev = node[key];
+
+      if (prev === undefined) node[key] = value;
+      else if (Array.isArray(prev)) prev.push(value);
+      else if (typeof prev === 'string') node[key] = [prev, value];
+
+      return;
+    }
+
+    let child = node[key];
+
+    if (child === undefined || typeof child === 'string') {
+      const next = path[i + 1];
+      const container =
+        next === '' || isIndex(next, arrayLimit) ? [] : Object.create(null);
+
+      // `a=1&a[]=2` is the same as `a[]=1&a[]=2`
+      if (typeof child === 'string' && Array.isArray(container)) {
+        container.push(child);
+      }
+
+      child = node[key] = container;
+    }
+
+    parent = node;
+    parentKey = key;
+    node = child;
+  }
+}
+
+/**
+ * Removes holes of sparse arrays.
+ *
+ * @param {NestedValue} value
+ * @returns {NestedValue}
+ */
+function compact(value) {
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.filter(() => true).map(compact);
+
+  for (const key of Object.keys(value)) value[key] = compact(value[key]);
+
+  return value;
+}
+
+/**
+ * Builds an object from key-value pairs with nested keys.
+ *
+ * Supported keys:
+ * - `a=1&a=2` - repeated keys become arrays;
+ * - `a[]=1&a[]=2`, `a[0]=1&a[1]=2` - array notation;
+ * - `a[b][c]=1` - nested objects.
+ *
+ * @param {Iterable<[string, string]>} entries
+ * @param {NestedOptions=} options
+ * @returns {NestedObject}
+ */
+export function parseNested(entries, options = {}) {
+  const depth = options.depth !== undefined ? options.depth : 5;
+  const arrayLimit = options.arrayLimit !== undefined ? options.arrayLimit : 20;
+  /** @type {NestedObject} */
+  const result = Object.create(null);
+
+  for (const [key, value] of entries) {
+    const path = parseKey(key, depth);
+
+    if (path.some(part => FORBIDDEN_KEYS.includes(part))) continue;
+
+    setValue(result, path, value, arrayLimit);
+  }
+
+  return /** @type {NestedObject} */ (compact(result));
+}
+
+/**
+ * Converts string values looking like numbers and booleans, e.g. `'10'` to `10` and `'true'` to `true`.
+ *
+ * Numbers which cannot be converted back to the same string, like `007` or `1e3`, are kept as strings.
+ *
+ * @param {NestedValue} value
+ * @returns {NestedValue}
+ */
+export function coerceValues(value) {
+  if (typeof value === 'string') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    const number = Number(value);
+
+    return value && String(number) === value ? number : value;
+  }
+
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(coerceValues);
+
+  for (const key of Object.keys(value)) value[key] = coerceValues(value[key]);
+
+  return value;
+}
@@ -0,0 +1,138 @@
+import { STATUS_CODES } from 'http';
+
+/**
+ * @typedef {import('http').ServerResponse} ServerResponse
+ *
+ * @typedef {import('./types').Response} Response
+ */
+
+/**
+ * Content types by their short names.
+ *
+ * @type {Record<string, string>}
+ */
+const contentTypes = {
+  json: 'application/json; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  bin: 'application/octet-stream'
+};
+
+/**
+ * Appends header values to an existing header value.
+ *
+ * @param {number|string|string[]|undefined} prev
+ * @param {string|string[]} value
+ * @returns {string|string[]}
+ */
+function appendValue(prev, value) {
+  if (prev === undefined) return value;
+
+  return (Array.isArray(prev) ? prev : [String(prev)]).concat(value);
+}
+
+/**
+ * Adds the response helpers to a server response.
+ *
+ * @param {ServerResponse} res
+ * @returns {Response}
+ */
+export function decorateResponse(res) {
+  const response = /** @type {Response} */ (res);
+
+  response.status = code => {
+    response.statusCode = code;
+
+    return response;
+  };
+
+  response.type = type => {
+    response.setHeader(
+      'Content-Type',
+      type.includes('/') ? type : contentTypes[type] || contentTypes.bin
+    );
+
+    return response;
+  };
+
+  response.append = (field, value) => {
+    const header = appendValue(response.getHeader(field), value);
+
+    response.setHeader(field, header);
+
+    return response;
+  };
+
+  response.vary = field => {
+    const prev = response.getHeader('Vary');
+    const fields = prev
+      ? String(prev)
+          .split(',')
+          .map(item => item.trim())
+          .filter(Boolean)
+      : [];
+
+    if (fields.includes('*')) return response;
+
+    if (field === '*') {
+      response.setHeader('Vary', '*');
+    } else if (
+      !fields.some(item => item.toLowerCase() === field.toLowerCase())
+    ) {
+      response.setHeader('Vary', fields.concat(field).join(', '));
+    }
+
+    return response;
+  };
+
+  response.json = body => {
+    if (!response.hasHeader('Content-Type')) response.type('json');
+
+    response.end(JSON.stringify(body));
+
+    return response;
+  };
+
+  response.send = body => {
+    if (body === undefined || body === null) {
+      response.end();
+    } else if (typeof body === 'string') {
+      if (!response.hasHeader('Content-Type')) response.type('text');
+
+      response.end(body);
+    } else if (body instanceof Uint8Array) {
+      if (!response.hasHeader('Content-Type')) response.type('bin');
+
+      response.end(body);
+    } else {
+      response.json(body);
+    }
+
+    return response;
+  };
+
+  response.sendStatus = code => {
+    response.status(code);
+
+    // these statuses must not have a body
+    if (code === 204 || code === 304) return response.send();
+
+    return response.type('text').send(STATUS_CODES[code] || String(code));
+  };
+
+  response.redirect = (statusOrUrl, url) => {
+    const status = typeof statusOrUrl === 'number' ? statusOrUrl : 302;
+    const location = typeof statusOrUrl === 'number' ? url : statusOrUrl;
+
+    response.statusCode = status;
+    response.setHeader('Location', location || '/');
+    response.end();
+
+    return response;
+  };
+
+  // overridden by the compression middleware
+  response.flush = () => {};
+
+  return response;
+}
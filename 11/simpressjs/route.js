@@ -1,9 +1,47 @@
+import { METHODS } from 'http';
+
+import { toPathRegExp } from './path';
+
 /**
  * @typedef {import('./types').RequestListener} RequestListener
  * @typedef {import('./types').Middleware} Middleware
  * @typedef {import('./types').ErrorMiddleware} ErrorMiddleware
  */
 
+/**
+ * Route description used by the OpenAPI document.
+ *
+ * @typedef RouteDescription
+ * @property {string=} summary
+ * @property {string=} description
+ * @property {string[]=} tags
+ * @property {string=} operationId
+ * @property {boolean=} deprecated
+ * @property {Record<string, { description: string }>=} responses descriptions of responses by status codes
+ * @property {boolean=} hidden exclude the route from the OpenAPI document
+ */
+
+/**
+ * Method of routes which handle requests with any method.
+ */
+export const ANY_METHOD = '*';
+
+/**
+ * Validates an http method and converts it to the upper case.
+ *
+ * @param {string} method http method or `*` for any method
+ * @returns {string}
+ */
+export function normalizeMethod(method) {
+  const normalized = String(method).toUpperCase();
+
+  if (normalized !== ANY_METHOD && !METHODS.includes(normalized)) {
+    throw new TypeError(`unsupported http method: ${method}`);
+  }
+
+  return normalized;
+}
+
 export class Route {
   /**
    * Route path regular expression.
@@ -14,7 +52,15 @@ export class Route {
   path;
 
   /**
-   * HTTP method.
+   * Route path pattern, `null` if the route was declared by a regular expression.
+   *
+   * @readonly
+   * @type {string|null}
+   */
+  pattern;
+
+  /**
+   * HTTP method in the upper case, `*` if the route handles any method.
    *
    * @readonly
    * @type {string}
@@ -46,16 +92,46 @@ export class Route {
   errMiddlewares;
 
   /**
-   * @param {RegExp} path route path
-   * @param {string} method http method
+   * Whether `HEAD` requests are handled by the route if it is a `GET` route.
+   * The response body is dropped in this case, but headers are sent as usual.
+   *
+   * @type {boolean}
+   */
+  implicitHead;
+
+  /**
+   * Route description for the OpenAPI document.
+   *
+   * @type {RouteDescription}
+   */
+  meta;
+
+  /**
+   * @param {string|RegExp} path route path pattern or regular expression
+   * @param {string} method http method, it is case-insensitive
    * @param {RequestListener} listener request listener function
    */
   constructor(path, method, listener) {
-    this.path = path;
-    this.method = method;
+    this.path = toPathRegExp(path);
+    this.pattern = typeof path === 'string' ? path : null;
+    this.method = normalizeMethod(method);
     this.listener = listener;
     this.middlewares = [];
     this.errMiddlewares = [];
+    this.implicitHead = true;
+    this.meta = {};
+  }
+
+  /**
+   * Describes the route for the OpenAPI document, the description is merged with the previous one.
+   *
+   * @param {RouteDescription} description
+   * @returns {Route}
+   */
+  describe(description) {
+    this.meta = { ...this.meta, ...description };
+
+    return this;
   }
 
   /**
@@ -1,12 +1,107 @@
-import { Route } from './route';
+import { ANY_METHOD, Route, normalizeMethod } from './route';
+import {
+  joinPaths,
+  normalizePrefix,
+  prefixPathRegExp,
+  toPathRegExp
+} from './path';
 
 /**
  * @typedef {import('./types').RequestListener} RequestListener
  * @typedef {import('./types').Middleware} Middleware
  * @typedef {import('./types').ErrorMiddleware} ErrorMiddleware
+ * @typedef {import('./tree').RouteEntry} RouteEntry
  */
 
+/**
+ * @typedef RouterOptions
+ * @property {string=} prefix path pattern prepended to all routes of the router, e.g. `/users`
+ * or `/orgs/:org`, parameters of the prefix are available in path params
+ * @property {('replace' | 'warn' | 'error')=} duplicates what to do when a route with the same method and path
+ * is registered again: replace it silently, replace it with a warning (default) or throw an error,
+ * `replaceRoute` replaces routes in any mode
+ *
+ * @typedef Mount
+ * @property {string} prefix normalized mount path
+ * @property {Router} router
+ */
+
+/**
+ * Creates a mount of a router.
+ *
+ * @param {string|Router} prefix mount path or the router mounted without a path
+ * @param {Router=} router
+ * @returns {Mount}
+ */
+export function toMount(prefix, router) {
+  if (typeof prefix !== 'string') return { prefix: '', router: prefix };
+
+  if (!router) throw new TypeError('router is required');
+
+  return { prefix: normalizePrefix(prefix), router };
+}
+
+/**
+ * Returns the key of a route in `Router.routes`.
+ *
+ * @param {string} method normalized http method
+ * @param {RegExp} path route path regular expression
+ * @returns {string}
+ */
+function routeKey(method, path) {
+  return method + '|' + path.source;
+}
+
+/**
+ * Appends a route with middlewares.
+ *
+ * @param {Router} router
+ * @param {string|RegExp} path route path pattern or regular expression
+ * @param {string} method http method
+ * @param {Middleware[]} handlers route middlewares followed by the request listener
+ * @returns {Route}
+ */
+function addRoute(router, path, method, handlers) {
+  const listener = handlers[handlers.length - 1];
+
+  if (typeof listener !== 'function') {
+    throw new TypeError('request listener is required');
+  }
+
+  const route = router.route(
+    path,
+    method,
+    /** @type {RequestListener} */ (listener)
+  );
+
+  for (const middleware of handlers.slice(0, -1)) route.use(middleware);
+
+  return route;
+}
+
+/**
+ * Checks whether a router is one of nested routers.
+ *
+ * @param {Router} router
+ * @param {Router} target
+ * @returns {boolean}
+ */
+function containsRouter(router, target) {
+  return (
+    router === target ||
+    router._mounts.some(mount => containsRouter(mount.router, target))
+  );
+}
+
 export class Router {
+  /**
+   * Normalized path prefix of the router routes, an empty string if there is no prefix.
+   *
+   * @readonly
+   * @type {string}
+   */
+  prefix;
+
   /**
    * @readonly
    * @type {Map<string,Route>}
@@ -25,10 +120,39 @@ export class Router {
    */
   errMiddlewares;
 
-  constructor() {
+  /**
+   * Routes revision, it is incremented on every routes change.
+   *
+   * @type {number}
+   */
+  _revision;
+
+  /**
+   * Nested routers.
+   *
+   * @readonly
+   * @type {Mount[]}
+   */
+  _mounts;
+
+  /**
+   * @readonly
+   * @private
+   * @type {'replace' | 'warn' | 'error'}
+   */
+  _duplicates;
+
+  /**
+   * @param {RouterOptions=} options
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix ? normalizePrefix(options.prefix) : '';
     this.routes = new Map();
     this.middlewares = [];
     this.errMiddlewares = [];
+    this._revision = 0;
+    this._mounts = [];
+    this._duplicates = options.duplicates || 'warn';
   }
 
   /**
@@ -60,35 +184,374 @@ export class Router {
   }
 
   /**
-   * Appends a route.
+   * Nests a router, its routes are prefixed by the mount path and its own prefix.
    *
-   * @param {string|RegExp} path route path
-   * @param {string} method http method
-   * @param {RequestListener} listener request listener function
-   * @returns {Route} route instance
+   * Middlewares and error middlewares of the router are applied to nested routes
+   * before middlewares of the nested router.
+   *
+   * @param {string|Router} prefix mount path, e.g. `/admin`, or the router to nest without a path
+   * @param {Router=} router
+   * @returns {Router}
+   */
+  useRouter(prefix, router) {
+    const mount = toMount(prefix, router);
+
+    if (containsRouter(mount.router, this)) {
+      throw new Error('a router cannot be nested into itself');
+    }
+
+    if (
+      !this._mounts.some(
+        item => item.prefix === mount.prefix && item.router === mount.router
+      )
+    ) {
+      this._mounts.push(mount);
+      ++this._revision;
+    }
+
+    return this;
+  }
+
+  /**
+   * Appends a route or returns a builder of routes of the path if the method is omitted.
+   *
+   * @template {string|undefined} [M=undefined]
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {M=} method http method, it is case-insensitive
+   * @param {RequestListener=} listener request listener function
+   * @returns {M extends string ? Route : RouteBuilder} route instance or routes builder
    */
   route(path, method, listener) {
-    if (typeof path === 'string') path = new RegExp('^' + path + '\\/?$|\\?');
+    if (method === undefined) {
+      return /** @type {any} */ (new RouteBuilder(this, path));
+    }
+
+    if (!listener) throw new TypeError('request listener is required');
 
     const route = new Route(path, method, listener);
 
-    this.routes.set(method + '|' + path.source, route);
+    if (this.routes.has(routeKey(route.method, route.path))) {
+      const message = `route ${route.method} ${
+        route.pattern !== null ? route.pattern : route.path
+      } is already registered`;
+
+      if (this._duplicates === 'error') throw new Error(message);
+      if (this._duplicates === 'warn') console.warn(`${message}, replacing it`);
+    }
+
+    this.routes.set(routeKey(route.method, route.path), route);
+    ++this._revision;
+
+    return /** @type {any} */ (route);
+  }
+
+  /**
+   * Appends a route replacing an existing route of the path and the method.
+   *
+   * Middlewares of the replaced route are not moved to the new one.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {string} method http method, it is case-insensitive
+   * @param {RequestListener} listener request listener function
+   * @returns {Route} route instance
+   */
+  replaceRoute(path, method, listener) {
+    const route = new Route(path, method, listener);
+
+    this.routes.set(routeKey(route.method, route.path), route);
+    ++this._revision;
 
     return route;
   }
 
+  /**
+   * Removes a route.
+   *
+   * Routes of nested routers are removed by the same paths as `findRoute` finds them.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {string} method http method, it is case-insensitive
+   * @returns {boolean} `false` if there is no such route
+   */
+  removeRoute(path, method) {
+    const entry = this._findEntry(path, method);
+
+    return entry
+      ? entry.routers[entry.routers.length - 1]._delete(entry.route)
+      : false;
+  }
+
+  /**
+   * Appends a `GET` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  get(path, ...handlers) {
+    return addRoute(this, path, 'GET', handlers);
+  }
+
+  /**
+   * Appends a `POST` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  post(path, ...handlers) {
+    return addRoute(this, path, 'POST', handlers);
+  }
+
+  /**
+   * Appends a `PUT` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  put(path, ...handlers) {
+    return addRoute(this, path, 'PUT', handlers);
+  }
+
+  /**
+   * Appends a `PATCH` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  patch(path, ...handlers) {
+    return addRoute(this, path, 'PATCH', handlers);
+  }
+
+  /**
+   * Appends a `DELETE` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  delete(path, ...handlers) {
+    return addRoute(this, path, 'DELETE', handlers);
+  }
+
+  /**
+   * Appends a route which handles requests with any method.
+   *
+   * Routes of any method are used if the path has no routes of the request method.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  all(path, ...handlers) {
+    return addRoute(this, path, ANY_METHOD, handlers);
+  }
+
   /**
    * Returns an existing route.
    *
-   * @param {string|RegExp} path route path
+   * Routes of nested routers are found by paths including mount paths and prefixes of nested routers,
+   * the prefix of the router itself is not included like in `route`.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
    * @param {string} method http method
    * @returns {Route|null} route instance
    */
   findRoute(path, method) {
-    if (typeof path === 'string') path = new RegExp('^' + path + '\\/?$|\\?');
+    const entry = this._findEntry(path, method);
 
-    const route = this.routes.get(method + '|' + path.source);
+    return entry ? entry.route : null;
+  }
 
-    return route ? route : null;
+  /**
+   * Finds a route of the router or nested routers.
+   *
+   * @param {string|RegExp} path route path pattern or regular expression
+   * @param {string} method http method
+   * @returns {RouteEntry|null}
+   */
+  _findEntry(path, method) {
+    const normalized = normalizeMethod(method);
+    const { source } = toPathRegExp(path);
+
+    return (
+      this._collect('', []).find(
+        item => item.route.method === normalized && item.path.source === source
+      ) || null
+    );
+  }
+
+  /**
+   * Removes a route of the router.
+   *
+   * @param {Route} route
+   * @returns {boolean} `false` if the route is not registered in the router
+   */
+  _delete(route) {
+    const key = routeKey(route.method, route.path);
+
+    if (this.routes.get(key) !== route) return false;
+
+    this.routes.delete(key);
+    ++this._revision;
+
+    return true;
+  }
+
+  /**
+   * Returns the revision of the router and nested routers.
+   *
+   * @returns {string}
+   */
+  _getRevision() {
+    return this._mounts.length
+      ? `${this._revision}(${this._mounts
+          .map(mount => mount.router._getRevision())
+          .join()})`
+      : String(this._revision);
+  }
+
+  /**
+   * Collects routes of the router and nested routers with composed paths.
+   *
+   * @param {string} base path prefix of the router routes
+   * @param {Router[]} parents outer routers
+   * @returns {RouteEntry[]}
+   */
+  _collect(base, parents) {
+    const routers = [...parents, this];
+    /** @type {RouteEntry[]} */
+    const entries = [];
+
+    for (const route of this.routes.values()) {
+      const pattern =
+        route.pattern !== null ? joinPaths(base, route.pattern) : null;
+
+      entries.push({
+        route,
+        routers,
+        pattern,
+        path:
+          pattern === null
+            ? prefixPathRegExp(base, route.path)
+            : base
+            ? toPathRegExp(pattern)
+            : route.path
+      });
+    }
+
+    for (const { prefix, router } of this._mounts) {
+      entries.push(
+        ...router._collect(
+          joinPaths(joinPaths(base, prefix), router.prefix),
+          routers
+        )
+      );
+    }
+
+    return entries;
+  }
+}
+
+/**
+ * Builder of routes of a single path, e.g. `router.route('/users').get(list).post(create)`.
+ */
+export class RouteBuilder {
+  /**
+   * Route path pattern or regular expression.
+   *
+   * @readonly
+   * @type {string|RegExp}
+   */
+  path;
+
+  /**
+   * @readonly
+   * @private
+   * @type {Router}
+   */
+  _router;
+
+  /**
+   * @param {Router} router
+   * @param {string|RegExp} path route path pattern or regular expression
+   */
+  constructor(router, path) {
+    this.path = path;
+    this._router = router;
+  }
+
+  /**
+   * Appends a `GET` route.
+   *
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {RouteBuilder}
+   */
+  get(...handlers) {
+    addRoute(this._router, this.path, 'GET', handlers);
+
+    return this;
+  }
+
+  /**
+   * Appends a `POST` route.
+   *
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {RouteBuilder}
+   */
+  post(...handlers) {
+    addRoute(this._router, this.path, 'POST', handlers);
+
+    return this;
+  }
+
+  /**
+   * Appends a `PUT` route.
+   *
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {RouteBuilder}
+   */
+  put(...handlers) {
+    addRoute(this._router, this.path, 'PUT', handlers);
+
+    return this;
+  }
+
+  /**
+   * Appends a `PATCH` route.
+   *
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {RouteBuilder}
+   */
+  patch(...handlers) {
+    addRoute(this._router, this.path, 'PATCH', handlers);
+
+    return this;
+  }
+
+  /**
+   * Appends a `DELETE` route.
+   *
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {RouteBuilder}
+   */
+  delete(...handlers) {
+    addRoute(this._router, this.path, 'DELETE', handlers);
+
+    return this;
+  }
+
+  /**
+   * Appends a route which handles requests with any method.
+   *
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {RouteBuilder}
+   */
+  all(...handlers) {
+    addRoute(this._router, this.path, ANY_METHOD, handlers);
+
+    return this;
   }
 }
@@ -0,0 +1,385 @@
+/**
+ * @typedef {'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'} SchemaType
+ */
+
+/**
+ * A subset of JSON Schema.
+ *
+ * @typedef Schema
+ * @property {(SchemaType | SchemaType[])=} type
+ * @property {Record<string, Schema>=} properties
+ * @property {string[]=} required
+ * @property {(boolean | Schema)=} additionalProperties
+ * @property {Schema=} items
+ * @property {number=} minItems
+ * @property {number=} maxItems
+ * @property {boolean=} uniqueItems
+ * @property {number=} minLength
+ * @property {number=} maxLength
+ * @property {string=} pattern
+ * @property {string=} format `email`, `uuid`, `date`, `date-time` or `uri`, other formats are not checked
+ * @property {number=} minimum
+ * @property {number=} maximum
+ * @property {number=} exclusiveMinimum
+ * @property {number=} exclusiveMaximum
+ * @property {number=} multipleOf
+ * @property {unknown[]=} enum
+ * @property {unknown=} const
+ * @property {Schema[]=} anyOf
+ * @property {unknown=} default value of a missing property
+ * @property {string=} title
+ * @property {string=} description
+ */
+
+/**
+ * @typedef Violation
+ * @property {string} path location of the invalid value, e.g. `body.tags[0]`
+ * @property {string} keyword failed schema keyword
+ * @property {string} message
+ *
+ * @typedef ValidateSchemaOptions
+ * @property {string=} path location of the value used in violations
+ * @property {boolean=} coerce convert strings to expected scalar types and single values to arrays,
+ * it is useful for query and path params which are always strings
+ *
+ * @typedef {{ value: unknown, errors: Violation[] }} ValidationResult
+ */
+
+/** @type {Record<string, RegExp>} */
+const formats = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time':
+    /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S+$/i
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * @param {unknown} value
+ * @param {SchemaType} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Converts a value to the first type it may be converted to.
+ *
+ * @param {unknown} value
+ * @param {SchemaType[]} types
+ * @returns {unknown} the value itself if it cannot be converted
+ */
+function coerce(value, types) {
+  for (const type of types) {
+    if (type === 'array') return [value];
+
+    if (typeof value === 'string') {
+      const number = value.trim() === '' ? NaN : Number(value);
+
+      if (type === 'number' && Number.isFinite(number)) return number;
+      if (type === 'integer' && Number.isInteger(number)) return number;
+      if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+      }
+      if (type === 'null' && (value === '' || value === 'null')) return null;
+    } else if (
+      type === 'string' &&
+      (typeof value === 'number' || typeof value === 'boolean')
+    ) {
+      return String(value);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Compares JSON values.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+
+  return (
+    aKeys.length === bKeys.length &&
+    aKeys.every(key =>
+      isEqual(
+        /** @type {Record<string, unknown>} */ (a)[key],
+        /** @type {Record<string, unknown>} */ (b)[key]
+      )
+    )
+  );
+}
+
+/**
+ * Validates a value and returns the coerced value.
+ *
+ * @param {Schema} schema
+ * @param {unknown} value
+ * @param {string} path
+ * @param {boolean} coerceTypes
+ * @param {Violation[]} errors violations are appended to the list
+ * @returns {unknown}
+ */
+function check(schema, value, path, coerceTypes, errors) {
+  /**
+   * @param {string} keyword
+   * @param {string} message
+   */
+  const fail = (keyword, message) => {
+    errors.push({ path, keyword, message });
+  };
+  const types =
+    schema.type === undefined
+      ? []
+      : Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type];
+
+  if (types.length && !types.some(type => hasType(value, type))) {
+    if (coerceTypes) value = coerce(value, types);
+
+    if (!types.some(type => hasType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}`);
+
+      return value;
+    }
+  }
+
+  if (schema.const !== undefined && !isEqual(value, schema.const)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some(item => isEqual(item, value))) {
+    fail(
+      'enum',
+      `must be one of ${schema.enum
+        .map(item => JSON.stringify(item))
+        .join(', ')}`
+    );
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(item => {
+      /** @type {Violation[]} */
+      const itemErrors = [];
+
+      return {
+        value: check(item, value, path, coerceTypes, itemErrors),
+        errors: itemErrors
+      };
+    });
+    const match = results.find(result => !result.errors.length);
+
+    if (match) value = match.value;
+    else fail('anyOf', 'must match a schema in anyOf');
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern, 'u').test(value)
+    ) {
+      fail('pattern', `must match pattern "${schema.pattern}"`);
+    }
+
+    if (
+      schema.format !== undefined &&
+      formats[schema.format] &&
+      !formats[schema.format].test(value)
+    ) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+
+    if (
+      schema.multipleOf !== undefined &&
+      !Number.isInteger(value / schema.multipleOf)
+    ) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    /** @type {unknown[]} */
+    const list = value;
+
+    if (schema.minItems !== undefined && list.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+
+    if (schema.maxItems !== undefined && list.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+
+    if (
+      schema.uniqueItems &&
+      list.some((item, i) => list.slice(0, i).some(prev => isEqual(prev, item)))
+    ) {
+      fail('uniqueItems', 'must have unique items');
+    }
+
+    const { items } = schema;
+
+    if (items) {
+      value = list.map((item, i) =>
+        check(items, item, `${path}[${i}]`, coerceTypes, errors)
+      );
+    }
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+    /** @type {Record<string, unknown>} */
+    const result = { ...value };
+
+    for (const key of Object.keys(properties)) {
+      if (result[key] === undefined && properties[key].default !== undefined) {
+        result[key] = properties[key].default;
+      } else if (result[key] !== undefined) {
+        result[key] = check(
+          properties[key],
+          result[key],
+          joinPath(path, key),
+          coerceTypes,
+          errors
+        );
+      }
+    }
+
+    for (const key of schema.required || []) {
+      if (result[key] === undefined) {
+        errors.push({
+          path: joinPath(path, key),
+          keyword: 'required',
+          message: 'is required'
+        });
+      }
+    }
+
+    const { additionalProperties } = schema;
+
+    if (additionalProperties !== undefined && additionalProperties !== true) {
+      for (const key of Object.keys(result)) {
+        if (Object.prototype.hasOwnProperty.call(properties, key)) continue;
+
+        if (additionalProperties === false) {
+          errors.push({
+            path: joinPath(path, key),
+            keyword: 'additionalProperties',
+            message: 'is not allowed'
+          });
+        } else {
+          result[key] = check(
+            additionalProperties,
+            result[key],
+            joinPath(path, key),
+            coerceTypes,
+            errors
+          );
+        }
+      }
+    }
+
+    value = result;
+  }
+
+  return value;
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * The value is not modified, the result contains a copy with coerced values and defaults.
+ *
+ * @param {Schema} schema
+ * @param {unknown} value
+ * @param {ValidateSchemaOptions=} options
+ * @returns {ValidationResult} the list of violations is empty if the value is valid
+ */
+export function validateSchema(schema, value, options = {}) {
+  /** @type {Violation[]} */
+  const errors = [];
+  const result = check(
+    schema,
+    value,
+    options.path || '',
+    !!options.coerce,
+    errors
+  );
+
+  return { value: result, errors };
+}
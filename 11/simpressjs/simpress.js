@@ -1,17 +1,246 @@
-import { Route } from './route';
-import { Router } from './router';
+import { callMiddleware } from './chain';
+import {
+  BadRequestError,
+  HttpError,
+  MethodNotAllowedError,
+  NotFoundError,
+  getErrorStatus,
+  sendError
+} from './errors';
+import { buildOpenAPI } from './openapi';
+import {
+  compilePrefix,
+  joinPaths,
+  normalizePrefix,
+  prefixPathRegExp,
+  toPathRegExp
+} from './path';
+import { decorateResponse } from './response';
+import { normalizeMethod } from './route';
+import { Router, toMount } from './router';
+import { RouteTree } from './tree';
 
 /**
  * @typedef {import('http').RequestListener} HttpRequestListener
  * @typedef {import('http').IncomingMessage} HttpIncomingMessage
  * @typedef {import('http').ServerResponse} HttpServerResponse
  *
+ * @typedef {import('./route').Route} Route
+ * @typedef {import('./router').Mount} Mount
+ * @typedef {import('./router').RouteBuilder} RouteBuilder
+ * @typedef {import('./tree').RouteEntry} RouteEntry
  * @typedef {import('./types').RequestListener} RequestListener
  * @typedef {import('./types').Request} Request
+ * @typedef {import('./types').RequestUrl} RequestUrl
  * @typedef {import('./types').Response} Response
  * @typedef {import('./types').Middleware} Middleware
  * @typedef {import('./types').ErrorMiddleware} ErrorMiddleware
+ *
+ * @typedef {import('./errors').ErrorRenderOptions} ErrorRenderOptions
+ * @typedef {import('./openapi').OpenAPIOptions} OpenAPIOptions
+ * @typedef {import('./openapi').OpenAPIDocument} OpenAPIDocument
+ *
+ * @typedef {{ middlewares: Middleware[], errMiddlewares: ErrorMiddleware[] }} Level
+ *
+ * @typedef AppMount
+ * @property {string} prefix normalized mount path
+ * @property {RegExp} path regular expression matching paths starting with the mount path
+ * @property {Simpress} app
+ *
+ * @typedef {{ type: 'route', entry: RouteEntry }
+ *   | { type: 'mount', app: Simpress, base: string, path: string, resolution: Resolution }
+ *   | { type: 'methods', methods: string[] }} Resolution
+ */
+
+/**
+ * @typedef SimpressOptions
+ * @property {ErrorRenderOptions=} errors options of error responses generated by the framework,
+ * `problem: true` turns 404, 405 and unhandled errors into `application/problem+json` documents
+ * @property {('replace' | 'warn' | 'error')=} duplicates what to do when a route of the application
+ * is registered again, see `RouterOptions`
+ * @property {((err: unknown, req: Request) => void)=} onError called with unhandled errors which are answered
+ * with a 5xx status before the response is sent, e.g. to log them, nothing is logged by default
+ */
+
+/**
+ * Route details for debugging and runtime route toggling.
+ *
+ * @typedef RouteInfo
+ * @property {string} method http method, `*` for routes of any method
+ * @property {string} path full path pattern or regular expression
+ * @property {Route} route
+ * @property {Router} router router which the route is registered in
+ * @property {string[]} middlewares names of middlewares run before the route listener,
+ * anonymous middlewares are named `<anonymous>`
+ */
+
+/**
+ * Parses a request URL.
+ *
+ * @param {string} url request URL
+ * @returns {URL}
+ */
+function parseUrl(url) {
+  const base = 'http://localhost';
+
+  // origin-form URLs are appended to the base to keep `//path` from being treated as a host
+  return url.startsWith('/') ? new URL(base + url) : new URL(url, base);
+}
+
+/**
+ * Decodes a percent-encoded pathname segment by segment for routing.
+ * Encoded `/` and `%` stay encoded, so `/users/a%2Fb` has two segments.
+ *
+ * @param {string} pathname
+ * @returns {string}
+ * @throws {URIError} if the pathname is malformed
  */
+function toRoutePath(pathname) {
+  return pathname
+    .split('/')
+    .map(segment =>
+      decodeURIComponent(segment).replace(/%/g, '%25').replace(/\//g, '%2F')
+    )
+    .join('/');
+}
+
+/**
+ * Drops the response body keeping the headers.
+ * `Content-Length` is calculated from the dropped body if it is not set.
+ *
+ * @param {HttpServerResponse} res
+ */
+function suppressBody(res) {
+  const end = res.end.bind(res);
+  let length = 0;
+
+  /**
+   * @param {unknown[]} args write arguments
+   * @returns {(() => void)|undefined} callback
+   */
+  const count = args => {
+    const [chunk, encoding] = args;
+
+    if (typeof chunk === 'string') {
+      length += Buffer.byteLength(
+        chunk,
+        typeof encoding === 'string'
+          ? /** @type {BufferEncoding} */ (encoding)
+          : undefined
+      );
+    } else if (chunk instanceof Uint8Array) {
+      length += chunk.byteLength;
+    }
+
+    return /** @type {(() => void)|undefined} */ (
+      args.find(arg => typeof arg === 'function')
+    );
+  };
+
+  /** @type {any} */ (res).write = (/** @type {unknown[]} */ ...args) => {
+    const callback = count(args);
+
+    if (callback) process.nextTick(callback);
+
+    return true;
+  };
+
+  /** @type {any} */ (res).end = (/** @type {unknown[]} */ ...args) => {
+    const callback = count(args);
+
+    if (!res.headersSent && !res.hasHeader('Content-Length')) {
+      res.setHeader('Content-Length', length);
+    }
+
+    return callback ? end(callback) : end();
+  };
+}
+
+/**
+ * Passes an error through error middlewares of the levels.
+ *
+ * The error is handled when an error middleware ends the response, a middleware which calls `next`
+ * or returns leaving the response open passes the error on, so the request cannot hang.
+ *
+ * @param {unknown} err
+ * @param {Level[]} levels levels from the innermost one
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise<unknown>} unhandled error or `undefined` if the error was handled
+ */
+async function passError(err, levels, req, res) {
+  for (const level of levels) {
+    for (const errMiddleware of level.errMiddlewares) {
+      try {
+        await callMiddleware(
+          errMiddleware,
+          [err, req, res],
+          res,
+          async () => {}
+        );
+
+        if (res.writableEnded || res.destroyed) return;
+      } catch (e) {
+        err = e;
+      }
+    }
+  }
+
+  return err;
+}
+
+/**
+ * Runs middlewares of the levels starting from the specified one and then the listener.
+ *
+ * An error is passed through error middlewares of the level where it was raised,
+ * if they do not handle it the error bubbles up to the outer level.
+ *
+ * @param {Level[]} levels levels from the outermost one
+ * @param {number} index current level index
+ * @param {RequestListener} listener route listener or a mounted application handler
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise<void>} rejected with an error unhandled by all levels
+ */
+async function runLevels(levels, index, listener, req, res) {
+  const level = levels[index];
+  /**
+   * @param {number} i middleware index
+   * @returns {Promise<void>}
+   */
+  const dispatch = async i => {
+    if (i < level.middlewares.length) {
+      await callMiddleware(level.middlewares[i], [req, res], res, () =>
+        dispatch(i + 1)
+      );
+    } else if (index + 1 < levels.length) {
+      await runLevels(levels, index + 1, listener, req, res);
+    } else {
+      await listener(req, res);
+    }
+  };
+
+  try {
+    await dispatch(0);
+  } catch (e) {
+    const err = await passError(e, [level], req, res);
+
+    if (err !== undefined) throw err;
+  }
+}
+
+/**
+ * Checks whether an application is one of mounted applications.
+ *
+ * @param {Simpress} app
+ * @param {Simpress} target
+ * @returns {boolean}
+ */
+function containsApp(app, target) {
+  return (
+    app === target || app._mounts.some(mount => containsApp(mount.app, target))
+  );
+}
 
 /**
  * This class provides a simple http framework.
@@ -31,14 +260,53 @@ export class Simpress {
 
   /**
    * @private
-   * @type {Router[]}
+   * @type {Mount[]}
    */
   _routers;
 
-  constructor() {
+  /**
+   * Mounted applications.
+   *
+   * @readonly
+   * @type {AppMount[]}
+   */
+  _mounts;
+
+  /**
+   * Routes tree, it is rebuilt lazily when routers change.
+   *
+   * @private
+   * @type {RouteTree|null}
+   */
+  _tree;
+
+  /**
+   * Routers revisions which the routes tree was built for.
+   *
+   * @private
+   * @type {string}
+   */
+  _treeRevision;
+
+  /**
+   * @private
+   * @type {SimpressOptions}
+   */
+  _options;
+
+  /**
+   * @param {SimpressOptions=} options
+   */
+  constructor(options = {}) {
+    this._options = options;
     this.middlewares = [];
     this.errMiddlewares = [];
-    this._routers = [new Router()];
+    this._routers = [
+      { prefix: '', router: new Router({ duplicates: options.duplicates }) }
+    ];
+    this._mounts = [];
+    this._tree = null;
+    this._treeRevision = '';
   }
 
   /**
@@ -72,52 +340,440 @@ export class Simpress {
   /**
    * Appends a router to the instance.
    *
-   * @param {Router} router
+   * Routes of the router are prefixed by the mount path and the router prefix.
+   *
+   * @param {string|Router} prefix mount path, e.g. `/api`, or the router to append without a path
+   * @param {Router=} router
    * @returns {Simpress}
    */
-  useRouter(router) {
-    if (!this._routers.includes(router)) {
-      this._routers.push(router);
+  useRouter(prefix, router) {
+    const mount = toMount(prefix, router);
+
+    if (
+      !this._routers.some(
+        item => item.prefix === mount.prefix && item.router === mount.router
+      )
+    ) {
+      this._routers.push(mount);
+      this._tree = null;
     }
 
     return this;
   }
 
   /**
-   * Appends a route.
+   * Mounts a sub-application under a path.
    *
-   * @param {string|RegExp} path route path
-   * @param {string} method http method
-   * @param {RequestListener} listener request listener function
-   * @returns {Route} route instance
+   * The sub-application sees `req.path` and `req.pathname` without the mount path, which is appended to `req.baseUrl`,
+   * `req.originalUrl` is kept. Middlewares of the application run before the sub-application ones
+   * and its error middlewares handle errors unhandled by the sub-application.
+   * Requests which no sub-application route matches by both the path and the method are routed by the application itself,
+   * allowed methods of both applications are merged for `405` and `OPTIONS` responses.
+   *
+   * @param {string} prefix mount path, e.g. `/billing`
+   * @param {Simpress} app
+   * @returns {Simpress}
+   */
+  mount(prefix, app) {
+    if (containsApp(app, this)) {
+      throw new Error('an application cannot be mounted into itself');
+    }
+
+    const normalized = normalizePrefix(prefix);
+
+    this._mounts.push({
+      prefix: normalized,
+      path: compilePrefix(normalized),
+      app
+    });
+
+    return this;
+  }
+
+  /**
+   * Appends a route or returns a builder of routes of the path if the method is omitted.
+   *
+   * @template {string|undefined} [M=undefined]
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {M=} method http method, it is case-insensitive
+   * @param {RequestListener=} listener request listener function
+   * @returns {M extends string ? Route : RouteBuilder} route instance or routes builder
    */
   route(path, method, listener) {
-    if (typeof path === 'string') path = new RegExp('^' + path + '\\/?$|\\?');
+    return this._routers[0].router.route(path, method, listener);
+  }
 
-    const route = new Route(path, method, listener);
+  /**
+   * Appends a `GET` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  get(path, ...handlers) {
+    return this._routers[0].router.get(path, ...handlers);
+  }
 
-    this._routers[0].routes.set(method + '|' + path.source, route);
+  /**
+   * Appends a `POST` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  post(path, ...handlers) {
+    return this._routers[0].router.post(path, ...handlers);
+  }
 
-    return route;
+  /**
+   * Appends a `PUT` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  put(path, ...handlers) {
+    return this._routers[0].router.put(path, ...handlers);
+  }
+
+  /**
+   * Appends a `PATCH` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  patch(path, ...handlers) {
+    return this._routers[0].router.patch(path, ...handlers);
+  }
+
+  /**
+   * Appends a `DELETE` route.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  delete(path, ...handlers) {
+    return this._routers[0].router.delete(path, ...handlers);
+  }
+
+  /**
+   * Appends a route which handles requests with any method.
+   *
+   * Routes of any method are used if the path has no routes of the request method.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {...Middleware} handlers route middlewares followed by the request listener
+   * @returns {Route} route instance
+   */
+  all(path, ...handlers) {
+    return this._routers[0].router.all(path, ...handlers);
   }
 
   /**
    * Returns an existing route.
    *
-   * @param {string|RegExp} path route path
+   * Routes of routers are found by full paths including mount paths and router prefixes.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
    * @param {string} method http method
    * @returns {Route|null} route instance
    */
   findRoute(path, method) {
-    if (typeof path === 'string') path = new RegExp('^' + path + '\\/?$|\\?');
+    const entry = this._findEntry(path, method);
+
+    return entry ? entry.route : null;
+  }
+
+  /**
+   * Appends a route replacing an existing route of the path and the method.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {string} method http method, it is case-insensitive
+   * @param {RequestListener} listener request listener function
+   * @returns {Route} route instance
+   */
+  replaceRoute(path, method, listener) {
+    return this._routers[0].router.replaceRoute(path, method, listener);
+  }
+
+  /**
+   * Removes a route.
+   *
+   * Routes of routers are removed by full paths like `findRoute` finds them,
+   * the route may be registered again later, e.g. when a feature is toggled.
+   *
+   * @param {string|RegExp} path route path pattern (e.g. `/users/:id`) or regular expression
+   * @param {string} method http method, it is case-insensitive
+   * @returns {boolean} `false` if there is no such route
+   */
+  removeRoute(path, method) {
+    const entry = this._findEntry(path, method);
+
+    return entry
+      ? entry.routers[entry.routers.length - 1]._delete(entry.route)
+      : false;
+  }
+
+  /**
+   * Lists routes of all routers and mounted applications.
+   *
+   * @returns {RouteInfo[]}
+   */
+  listRoutes() {
+    return this._collectAll().map(
+      ({ route, routers, pattern, path, apps }) => ({
+        method: route.method,
+        path: pattern !== null ? pattern : String(path),
+        route,
+        router: routers[routers.length - 1],
+        middlewares: [...apps, ...routers, route].flatMap(level =>
+          level.middlewares.map(middleware => middleware.name || '<anonymous>')
+        )
+      })
+    );
+  }
+
+  /**
+   * Builds an OpenAPI 3.1 document of all routes.
+   *
+   * Schemas of `validate` middlewares of routes and route descriptions (see `Route.describe`) are included.
+   *
+   * @param {OpenAPIOptions} options
+   * @returns {OpenAPIDocument}
+   */
+  toOpenAPI(options) {
+    return buildOpenAPI(this._collectAll(), options);
+  }
+
+  /**
+   * Collects routes of all routers with full paths.
+   *
+   * @private
+   * @returns {RouteEntry[]}
+   */
+  _collect() {
+    return this._routers.flatMap(({ prefix, router }) =>
+      router._collect(joinPaths(prefix, router.prefix), [])
+    );
+  }
+
+  /**
+   * Collects routes of all routers and mounted applications with full paths.
+   *
+   * @private
+   * @param {Simpress[]} parents outer applications
+   * @returns {Array<RouteEntry & { apps: Simpress[] }>} routes with applications containing them from the outermost one
+   */
+  _collectAll(parents = []) {
+    const apps = [...parents, this];
+
+    return [
+      ...this._collect().map(entry => ({ ...entry, apps })),
+      ...this._mounts.flatMap(({ prefix, app }) =>
+        app._collectAll(apps).map(entry => {
+          const pattern =
+            entry.pattern !== null ? joinPaths(prefix, entry.pattern) : null;
+
+          return {
+            ...entry,
+            pattern,
+            path:
+              pattern !== null
+                ? toPathRegExp(pattern)
+                : prefixPathRegExp(prefix, entry.path)
+          };
+        })
+      )
+    ];
+  }
+
+  /**
+   * Finds a route of all routers.
+   *
+   * @private
+   * @param {string|RegExp} path route path pattern or regular expression
+   * @param {string} method http method
+   * @returns {RouteEntry|null}
+   */
+  _findEntry(path, method) {
+    const normalized = normalizeMethod(method);
+    const { source } = toPathRegExp(path);
+
+    return (
+      this._collect().find(
+        item => item.route.method === normalized && item.path.source === source
+      ) || null
+    );
+  }
+
+  /**
+   * Returns the routes tree of all routers.
+   *
+   * @private
+   * @returns {RouteTree}
+   */
+  _getTree() {
+    const revision = this._routers
+      .map(({ router }) => router._getRevision())
+      .join();
+
+    if (!this._tree || this._treeRevision !== revision) {
+      const tree = new RouteTree();
+
+      for (const entry of this._collect()) tree.insert(entry);
+
+      this._tree = tree;
+      this._treeRevision = revision;
+    }
 
-    for (const router of this._routers) {
-      const route = router.routes.get(method + '|' + path.source);
+    return this._tree;
+  }
 
-      if (route) return route;
+  /**
+   * Responds with an error generated by the framework.
+   *
+   * The response has an empty body unless the problem documents mode is enabled.
+   *
+   * @private
+   * @param {HttpError} err
+   * @param {Request} req
+   * @param {Response} res
+   */
+  _reject(err, req, res) {
+    const { errors } = this._options;
+
+    if (errors && errors.problem) {
+      sendError(err, req, res, errors);
+    } else {
+      res.writeHead(err.status);
+      res.end();
     }
+  }
+
+  /**
+   * Responds to a request which failed with an unhandled error.
+   *
+   * @private
+   * @param {unknown} err
+   * @param {Request} req
+   * @param {Response} res
+   */
+  _respondWithError(err, req, res) {
+    const { onError } = this._options;
+
+    if (onError && getErrorStatus(err) >= 500) onError(err, req);
+
+    sendError(err, req, res, this._options.errors);
+  }
+
+  /**
+   * Resolves a request path to a route of the application or a mounted application.
+   *
+   * Mounted applications are tried first, the application routes are used
+   * if no mounted application has a route for the path and the method.
+   * Methods allowed by mounted applications and the application are merged.
+   *
+   * @private
+   * @param {string} pathname request path, see `RequestUrl`
+   * @param {string} method http method
+   * @returns {Resolution|null} `null` if there are no routes for the path
+   */
+  _resolve(pathname, method) {
+    /** @type {string[]} */
+    const methods = [];
+
+    for (const { path, app } of this._mounts) {
+      const match = path.exec(pathname);
+
+      if (!match) continue;
+
+      const rest = pathname.slice(match[0].length) || '/';
+      const resolution = app._resolve(rest, method);
+
+      if (!resolution) continue;
+
+      if (resolution.type === 'methods') {
+        methods.push(...resolution.methods);
+      } else {
+        return {
+          type: 'mount',
+          app,
+          base: match[0],
+          path: rest,
+          resolution
+        };
+      }
+    }
+
+    const tree = this._getTree();
+    const entry = tree.find(pathname, method);
+
+    if (entry) return { type: 'route', entry };
 
-    return null;
+    methods.push(...tree.allowedMethods(pathname));
+
+    return methods.length
+      ? { type: 'methods', methods: [...new Set(methods)] }
+      : null;
+  }
+
+  /**
+   * Handles a resolved request.
+   *
+   * @private
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Resolution} resolution
+   * @returns {Promise<void>} rejected with an error unhandled by the application
+   */
+  async _run(req, res, resolution) {
+    if (resolution.type === 'route') {
+      const { route, routers, path } = resolution.entry;
+
+      req.pathRegex = path;
+
+      await runLevels([this, ...routers, route], 0, route.listener, req, res);
+    } else if (resolution.type === 'mount') {
+      const { app, base } = resolution;
+
+      await runLevels(
+        [this],
+        0,
+        async () => {
+          const { path, pathname, baseUrl } = req;
+
+          req.path = resolution.path;
+          req.pathname = decodeURIComponent(resolution.path);
+          req.baseUrl = baseUrl + decodeURIComponent(base);
+
+          try {
+            await app._run(req, res, resolution.resolution);
+          } finally {
+            req.path = path;
+            req.pathname = pathname;
+            req.baseUrl = baseUrl;
+          }
+        },
+        req,
+        res
+      );
+    } else {
+      const allowed = resolution.methods;
+
+      if (!allowed.includes('OPTIONS')) allowed.push('OPTIONS');
+
+      res.setHeader('Allow', allowed.join(', '));
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+      } else {
+        // path is known, but there is no route for the method
+        this._reject(new MethodNotAllowedError(), req, res);
+      }
+    }
   }
 
   /**
@@ -128,61 +784,70 @@ export class Simpress {
   toListener() {
     /**
      *
-     * @param {HttpIncomingMessage & { pathRegex?: RegExp }} req
+     * @param {HttpIncomingMessage & Partial<RequestUrl> & { pathRegex?: RegExp }} req
      * @param {HttpServerResponse} res
      * @returns {Promise<void>}
      */
     const listener = async (req, res) => {
-      for (const router of this._routers) {
-        for (const [_, route] of router.routes) {
-          // check path and method
-          if (
-            route.path.test(req.url ? req.url : '') &&
-            req.method === route.method
-          ) {
-            req.pathRegex = route.path;
-
-            for (const level of [this, router, route]) {
-              for (const middleware of level.middlewares) {
-                let err = await new Promise(resolve =>
-                  middleware(
-                    /** @type {Request} */ (req),
-                    /** @type {Response} */ (res),
-                    resolve
-                  )
-                );
-
-                if (err !== undefined) {
-                  for (const errMiddleware of level.errMiddlewares) {
-                    err = await new Promise(resolve =>
-                      errMiddleware(
-                        err,
-                        /** @type {Request} */ (req),
-                        /** @type {Response} */ (res),
-                        resolve
-                      )
-                    );
-
-                    if (err === undefined) return;
-                  }
-
-                  return;
-                }
-              }
-            }
-
-            route.listener(
-              /** @type {Request} */ (req),
-              /** @type {Response} */ (res)
-            );
-
-            return;
-          }
-        }
+      decorateResponse(res).errorOptions = this._options.errors || {};
+
+      req.originalUrl = req.url || '/';
+      req.baseUrl = '';
+
+      try {
+        const url = parseUrl(req.originalUrl);
+
+        req.path = toRoutePath(url.pathname);
+        req.pathname = decodeURIComponent(url.pathname);
+        req.search = url.search;
+      } catch (e) {
+        this._reject(
+          new BadRequestError('malformed request URL'),
+          /** @type {Request} */ (req),
+          /** @type {Response} */ (res)
+        );
+
+        return;
       }
 
-      res.writeHead(404);
-      res.end();
+      const resolution = this._resolve(req.path, req.method || '');
+
+      if (!resolution) {
+        this._reject(
+          new NotFoundError(),
+          /** @type {Request} */ (req),
+          /** @type {Response} */ (res)
+        );
+
+        return;
+      }
+
+      let target = resolution;
+
+      while (target.type === 'mount') target = target.resolution;
+
+      // before any middleware, so that wrappers like `compression` see the whole body of a GET response
+      if (
+        req.method === 'HEAD' &&
+        target.type === 'route' &&
+        target.entry.route.method !== 'HEAD'
+      ) {
+        suppressBody(res);
+      }
+
+      try {
+        await this._run(
+          /** @type {Request} */ (req),
+          /** @type {Response} */ (res),
+          resolution
+        );
+      } catch (err) {
+        this._respondWithError(
+          err,
+          /** @type {Request} */ (req),
+          /** @type {Response} */ (res)
+        );
+      }
     };
 
     return listener;
@@ -0,0 +1,327 @@
+import { expandOptional, parsePath } from './path';
+import { ANY_METHOD } from './route';
+
+/**
+ * @typedef {import('./path').PathToken} PathToken
+ * @typedef {import('./route').Route} Route
+ * @typedef {import('./router').Router} Router
+ *
+ * @typedef RouteEntry
+ * @property {Route} route
+ * @property {Router[]} routers routers containing the route from the outermost one
+ * @property {string|null} pattern full path pattern including router prefixes,
+ * `null` if the route was declared by a regular expression
+ * @property {RegExp} path full path regular expression
+ *
+ * @typedef {{ type: 'static', value: string } | { type: 'param' } | { type: 'wildcard' }} Segment
+ *
+ * @typedef SegmentedPath
+ * @property {Segment[]} segments segments of the path or of its longest prefix which can be split to segments
+ * @property {boolean} complete whether the segments represent the whole path
+ */
+
+/**
+ * Checks whether a parameter constraint may match more than one path segment.
+ *
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function mayCrossSegments(pattern) {
+  return /\/|\.|\\[SDW]|\[\^/.test(pattern);
+}
+
+/**
+ * Splits path tokens to segments.
+ *
+ * Splitting stops at a segment mixing parameters with static text,
+ * a parameter which may match `/` or a wildcard which is not the last segment.
+ *
+ * @param {PathToken[]} tokens
+ * @returns {SegmentedPath}
+ */
+function toSegments(tokens) {
+  /** @type {Array<Array<string|PathToken>>} */
+  const parts = [[]];
+
+  for (const token of tokens) {
+    if (token.type === 'static') {
+      token.value.split('/').forEach((piece, i) => {
+        if (i) parts.push([]);
+        if (piece) parts[parts.length - 1].push(piece);
+      });
+    } else {
+      if (token.prefix) parts.push([]);
+
+      parts[parts.length - 1].push(token);
+    }
+  }
+
+  // the leading and trailing slashes do not produce segments
+  if (!parts[0].length) parts.shift();
+  if (parts.length && !parts[parts.length - 1].length) parts.pop();
+
+  /** @type {Segment[]} */
+  const segments = [];
+
+  for (let i = 0; i < parts.length; ++i) {
+    const [part, ...rest] = parts[i];
+
+    if (rest.length) return { segments, complete: false };
+
+    if (part === undefined) {
+      segments.push({ type: 'static', value: '' });
+    } else if (typeof part === 'string') {
+      segments.push({ type: 'static', value: part });
+    } else if (part.type === 'wildcard' && i === parts.length - 1) {
+      segments.push({ type: 'wildcard' });
+    } else if (
+      part.type === 'param' &&
+      !(part.pattern && mayCrossSegments(part.pattern))
+    ) {
+      segments.push({ type: 'param' });
+    } else {
+      return { segments, complete: false };
+    }
+  }
+
+  return { segments, complete: true };
+}
+
+/**
+ * Expands optional parameters and splits path tokens to segments.
+ *
+ * @param {PathToken[]} tokens
+ * @returns {SegmentedPath[]} segments of each path variant
+ */
+function toSegmentVariants(tokens) {
+  return expandOptional(tokens).map(toSegments);
+}
+
+/**
+ * Splits a request path to segments.
+ *
+ * @param {string} path
+ * @returns {string[]}
+ */
+function splitPath(path) {
+  const segments = path.split('/');
+
+  if (segments[0] === '') segments.shift();
+  if (segments.length && segments[segments.length - 1] === '') segments.pop();
+
+  return segments;
+}
+
+class Node {
+  /**
+   * @readonly
+   * @type {Map<string,Node>}
+   */
+  statics;
+
+  /**
+   * @type {Node|null}
+   */
+  param;
+
+  /**
+   * @type {Node|null}
+   */
+  wildcard;
+
+  /**
+   * Routes which end at the node.
+   *
+   * @readonly
+   * @type {RouteEntry[]}
+   */
+  entries;
+
+  /**
+   * Routes which continue with segments the tree cannot represent, e.g. `:name.:ext`.
+   *
+   * @readonly
+   * @type {RouteEntry[]}
+   */
+  patterns;
+
+  constructor() {
+    this.statics = new Map();
+    this.param = null;
+    this.wildcard = null;
+    this.entries = [];
+    this.patterns = [];
+  }
+}
+
+/**
+ * Routes prefix tree keyed on path segments.
+ *
+ * Candidates are looked up with the static > param > wildcard precedence
+ * and confirmed by the route regular expression.
+ * Patterns which cannot be split to segments entirely (segments mixing parameters
+ * with static text, parameters matching `/`, etc.) are kept at the node of their longest
+ * prefix which can be split and are tested after its static and param children, before its wildcard.
+ * Regular expression routes are tested in the registration order when no route from the tree matches.
+ */
+export class RouteTree {
+  /**
+   * @private
+   * @type {Node}
+   */
+  _root;
+
+  /**
+   * @private
+   * @type {RouteEntry[]}
+   */
+  _fallback;
+
+  constructor() {
+    this._root = new Node();
+    this._fallback = [];
+  }
+
+  /**
+   * Inserts a route to the tree.
+   *
+   * @param {RouteEntry} entry
+   * @returns {RouteTree}
+   */
+  insert(entry) {
+    if (entry.pattern === null) {
+      this._fallback.push(entry);
+
+      return this;
+    }
+
+    const variants = toSegmentVariants(parsePath(entry.pattern));
+
+    for (const { segments, complete } of variants) {
+      let node = this._root;
+
+      for (const segment of segments) {
+        if (segment.type === 'static') {
+          let child = node.statics.get(segment.value);
+
+          if (!child) {
+            child = new Node();
+            node.statics.set(segment.value, child);
+          }
+
+          node = child;
+        } else if (segment.type === 'param') {
+          node = node.param = node.param || new Node();
+        } else {
+          node = node.wildcard = node.wildcard || new Node();
+        }
+      }
+
+      if (complete) {
+        node.entries.push(entry);
+      } else if (!node.patterns.includes(entry)) {
+        node.patterns.push(entry);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Finds a route matching the path and the method.
+   *
+   * `HEAD` requests fall back to `GET` routes with the implicit `HEAD` handling,
+   * routes of any method are used if there are no routes of the method.
+   *
+   * @param {string} path request path, see `RequestUrl`
+   * @param {string} method http method
+   * @returns {RouteEntry|null}
+   */
+  find(path, method) {
+    return (
+      this._match(path, route => route.method === method) ||
+      (method === 'HEAD'
+        ? this._match(
+            path,
+            route => route.method === 'GET' && route.implicitHead
+          )
+        : null) ||
+      this._match(path, route => route.method === ANY_METHOD)
+    );
+  }
+
+  /**
+   * Returns methods of all routes matching the path.
+   *
+   * @param {string} path request path, see `RequestUrl`
+   * @returns {string[]}
+   */
+  allowedMethods(path) {
+    /** @type {Set<string>} */
+    const methods = new Set();
+    /** @param {RouteEntry} entry */
+    const collect = entry => {
+      const { route } = entry;
+
+      if (entry.path.test(path)) {
+        methods.add(route.method);
+
+        if (route.method === 'GET' && route.implicitHead) methods.add('HEAD');
+      }
+
+      // visit every candidate
+      return false;
+    };
+
+    this._find(this._root, splitPath(path), 0, collect);
+    this._fallback.forEach(collect);
+
+    return [...methods];
+  }
+
+  /**
+   * @private
+   * @param {string} path
+   * @param {(route: Route) => boolean} accepts
+   * @returns {RouteEntry|null}
+   */
+  _match(path, accepts) {
+    /** @param {RouteEntry} entry */
+    const matches = entry => accepts(entry.route) && entry.path.test(path);
+
+    return (
+      this._find(this._root, splitPath(path), 0, matches) ||
+      this._fallback.find(matches) ||
+      null
+    );
+  }
+
+  /**
+   * @private
+   * @param {Node} node
+   * @param {string[]} segments
+   * @param {number} index
+   * @param {(entry: RouteEntry) => boolean} matches
+   * @returns {RouteEntry|null}
+   */
+  _find(node, segments, index, matches) {
+    if (index === segments.length) {
+      const entry = node.entries.find(matches);
+
+      if (entry) return entry;
+    } else {
+      const child = node.statics.get(segments[index]);
+      const entry =
+        (child && this._find(child, segments, index + 1, matches)) ||
+        (node.param && this._find(node.param, segments, index + 1, matches));
+
+      if (entry) return entry;
+    }
+
+    return (
+      node.patterns.find(matches) ||
+      (node.wildcard && node.wildcard.entries.find(matches)) ||
+      null
+    );
+  }
+}
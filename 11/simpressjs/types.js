@@ -1,16 +1,57 @@
 /**
  * @typedef {import('http').IncomingMessage} IncomingMessage
  * @typedef {import('http').ServerResponse} ServerResponse
- * @typedef {import('querystring').ParsedUrlQuery} ParsedUrlQuery
+ * @typedef {import('./qs').NestedObject} NestedObject
+ * @typedef {import('./errors').ErrorRenderOptions} ErrorRenderOptions
  *
- * @typedef {{ body?: unknown }} RawBody
- * @typedef {{ pathParams?: Record<string, string> | null }} PathParams
- * @typedef {{ queryParams?: ParsedUrlQuery }} QueryParams
- * @typedef {IncomingMessage & { pathRegex: RegExp } & RawBody & PathParams & QueryParams} Request
- * @typedef {ServerResponse & { req: Request }} Response
+ * @typedef {{ body?: unknown, rawBody?: Buffer }} RawBody
+ * @typedef {{ pathParams?: Record<string, unknown> | null }} PathParams
+ * @typedef {{ queryParams?: NestedObject }} QueryParams
+ * @typedef {{ files?: UploadedFile[] }} UploadedFiles
+ * @typedef {IncomingMessage & { pathRegex: RegExp } & RequestUrl & RawBody & UploadedFiles & PathParams & QueryParams} Request
+ * @typedef {ServerResponse & { req: Request } & ResponseOptions & ResponseHelpers} Response
  * @typedef {(req: Request, res: Response) => void | Promise<void>} RequestListener
- * @typedef {(req: Request, res: Response, next: (err?: unknown) => void) => void} Middleware
- * @typedef {(err: unknown, req: Request, res: Response, next: (err?: unknown) => void) => void} ErrorMiddleware
+ * @typedef {(err?: unknown) => PromiseLike<void>} NextFunction
+ * @typedef {(req: Request, res: Response, next: NextFunction) => void | Promise<void>} Middleware
+ * @typedef {(err: unknown, req: Request, res: Response, next: NextFunction) => void | Promise<void>} ErrorMiddleware
+ */
+
+/**
+ * @typedef RequestUrl
+ * @property {string} path pathname which routes are matched against, it is decoded except for `%2F` and `%25`,
+ * so an encoded `/` does not separate segments
+ * @property {string} pathname decoded pathname
+ * @property {string} search query string including `?`, an empty string if there is no query
+ * @property {string} originalUrl request URL as it was received
+ * @property {string} baseUrl decoded path the application is mounted at, an empty string for the top-level application
+ */
+
+/**
+ * @typedef UploadedFile
+ * @property {string} fieldName name of the form field
+ * @property {string} filename original file name sent by the client
+ * @property {string} mimeType `Content-Type` of the part
+ * @property {number} size size in bytes
+ * @property {string=} path path of the temporary file, it is removed when the response is closed
+ */
+
+/**
+ * @typedef ResponseOptions
+ * @property {ErrorRenderOptions} errorOptions error render options of the application which received the request,
+ * they are used by middlewares which respond with errors on their own
+ */
+
+/**
+ * @typedef ResponseHelpers
+ * @property {(code: number) => Response} status sets the status code
+ * @property {(type: string) => Response} type sets `Content-Type`, `json`, `text`, `html` and `bin` are expanded to MIME types
+ * @property {(field: string, value: string|string[]) => Response} append appends values to a header
+ * @property {(field: string) => Response} vary adds a field to the `Vary` header
+ * @property {(body: unknown) => Response} json sends a JSON body
+ * @property {(body?: unknown) => Response} send sends a string, a buffer or a JSON body depending on the body type
+ * @property {(code: number) => Response} sendStatus sends the status code with its status text as a body
+ * @property {(statusOrUrl: number|string, url?: string) => Response} redirect redirects to the URL, the status is 302 if only the URL is passed
+ * @property {() => void} flush sends the data buffered by the `compression` middleware, it does nothing without compression
  */
 
 export default {}; // module stub
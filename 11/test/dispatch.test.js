@@ -0,0 +1,205 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import {
+  BadRequestError,
+  Simpress,
+  applyPathParamsParser,
+  compression
+} from '../simpressjs';
+import { request, serve } from './helpers';
+
+/**
+ * @typedef {import('../simpressjs').Request} Request
+ * @typedef {import('../simpressjs').Response} Response
+ */
+
+/**
+ * Creates a listener which reports the route and the request URL parts.
+ *
+ * @param {string} name route name
+ * @returns {(req: Request, res: Response) => void}
+ */
+function report(name) {
+  return (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(
+      JSON.stringify({
+        route: name,
+        pathname: req.pathname,
+        search: req.search,
+        originalUrl: req.originalUrl
+      })
+    );
+  };
+}
+
+test('query strings do not affect route matching', async () => {
+  const app = new Simpress();
+
+  app.route('/echo', 'POST', report('echo'));
+  app.route('/users', 'GET', report('users'));
+  app.route(/^\/files\/[a-z]+$/, 'GET', report('files'));
+
+  await serve(app, async port => {
+    assert.deepEqual((await request(port, 'POST', '/echo?x=1')).body, {
+      route: 'echo',
+      pathname: '/echo',
+      search: '?x=1',
+      originalUrl: '/echo?x=1'
+    });
+
+    assert.deepEqual((await request(port, 'GET', '/users?page=2')).body, {
+      route: 'users',
+      pathname: '/users',
+      search: '?page=2',
+      originalUrl: '/users?page=2'
+    });
+
+    // regular expressions are tested against the pathname only
+    assert.deepEqual((await request(port, 'GET', '/files/abc?v=1')).body, {
+      route: 'files',
+      pathname: '/files/abc',
+      search: '?v=1',
+      originalUrl: '/files/abc?v=1'
+    });
+
+    assert.equal((await request(port, 'GET', '/nothing?page=2')).status, 404);
+  });
+});
+
+test('HEAD responses of mounted applications have the headers of GET ones', async () => {
+  const app = new Simpress();
+  const sub = new Simpress();
+
+  sub.get('/big', (req, res) => {
+    res.type('text').send('x'.repeat(4096));
+  });
+  app.use(compression());
+  app.mount('/m', sub);
+
+  await serve(app, async port => {
+    const headers = { 'Accept-Encoding': 'gzip' };
+    const get = await request(port, 'GET', '/m/big', headers);
+    const head = await request(port, 'HEAD', '/m/big', headers);
+
+    assert.equal(head.status, 200);
+    assert.equal(head.body, null);
+    assert.equal(get.headers['content-encoding'], 'gzip');
+
+    for (const name of ['content-encoding', 'content-length', 'vary']) {
+      assert.equal(head.headers[name], get.headers[name], name);
+    }
+  });
+});
+
+test('patterns which cannot be split to segments take precedence over wildcards', async () => {
+  const app = new Simpress();
+
+  app.get('/*', report('wildcard'));
+  app.get('/f/:name.:ext', report('file'));
+  app.get('/api/:version(v\\d+\\.\\d+)/*', report('version'));
+  app.get('/api/*', report('api'));
+
+  await serve(app, async port => {
+    /**
+     * @param {string} path
+     * @returns {Promise<string>}
+     */
+    const route = async path => (await request(port, 'GET', path)).body.route;
+
+    assert.equal(await route('/f/x.json'), 'file');
+    assert.equal(await route('/f/x'), 'wildcard');
+    assert.equal(await route('/api/v1.2/users'), 'version');
+    assert.equal(await route('/api/v1/users'), 'api');
+  });
+});
+
+test('known paths answer other methods with 405 and OPTIONS with Allow', async () => {
+  const app = new Simpress();
+
+  app.get('/users', report('list'));
+  app.post('/users', report('create'));
+
+  await serve(app, async port => {
+    /** @param {string|string[]|undefined} allow */
+    const methods = allow => String(allow).split(', ').sort();
+    const rejected = await request(port, 'DELETE', '/users');
+    const options = await request(port, 'OPTIONS', '/users');
+
+    assert.equal(rejected.status, 405);
+    assert.deepEqual(methods(rejected.headers.allow), [
+      'GET',
+      'HEAD',
+      'OPTIONS',
+      'POST'
+    ]);
+    assert.equal(options.status, 204);
+    assert.deepEqual(methods(options.headers.allow), [
+      'GET',
+      'HEAD',
+      'OPTIONS',
+      'POST'
+    ]);
+    assert.equal((await request(port, 'DELETE', '/nothing')).status, 404);
+  });
+});
+
+test('HEAD requests are handled by GET routes without bodies', async () => {
+  const app = new Simpress();
+
+  app.get('/users', report('users'));
+
+  await serve(app, async port => {
+    const get = await request(port, 'GET', '/users');
+    const head = await request(port, 'HEAD', '/users');
+
+    assert.equal(head.status, 200);
+    assert.equal(head.body, null);
+    assert.equal(head.headers['content-type'], get.headers['content-type']);
+    assert.equal(head.headers['content-length'], get.headers['content-length']);
+  });
+});
+
+test('encoded slashes do not separate path segments', async () => {
+  const app = new Simpress();
+
+  app.get('/users/:id', applyPathParamsParser, (req, res) => {
+    res.json({ params: req.pathParams, pathname: req.pathname });
+  });
+  app.get('/café', report('cafe'));
+
+  await serve(app, async port => {
+    assert.deepEqual((await request(port, 'GET', '/users/a%2Fb')).body, {
+      params: { id: 'a/b' },
+      pathname: '/users/a/b'
+    });
+    assert.deepEqual((await request(port, 'GET', '/users/50%25')).body, {
+      params: { id: '50%' },
+      pathname: '/users/50%'
+    });
+    assert.equal((await request(port, 'GET', '/users/a/b')).status, 404);
+    assert.equal((await request(port, 'GET', '/caf%C3%A9')).body.route, 'cafe');
+    assert.equal((await request(port, 'GET', '/users/%E0%A4%A')).status, 400);
+  });
+});
+
+test('unhandled server errors are passed to onError', async () => {
+  /** @type {unknown[]} */
+  const reported = [];
+  const failure = new Error('broken');
+  const app = new Simpress({ onError: err => reported.push(err) });
+
+  app.get('/broken', () => {
+    throw failure;
+  });
+  app.get('/invalid', () => {
+    throw new BadRequestError('invalid');
+  });
+
+  await serve(app, async port => {
+    assert.equal((await request(port, 'GET', '/broken')).status, 500);
+    assert.equal((await request(port, 'GET', '/invalid')).status, 400);
+    assert.deepEqual(reported, [failure]);
+  });
+});
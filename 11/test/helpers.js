@@ -0,0 +1,68 @@
+import http from 'http';
+
+/**
+ * @typedef {import('../simpressjs').Simpress} Simpress
+ *
+ * @typedef Reply
+ * @property {number} status
+ * @property {http.IncomingHttpHeaders} headers
+ * @property {any} body parsed JSON body, the text of other bodies, `null` when the body is empty,
+ * encoded bodies are not decoded
+ */
+
+/**
+ * Starts the application on an ephemeral port, runs the callback and stops
+ * the server.
+ *
+ * @param {Simpress} app
+ * @param {(port: number) => Promise<void>} callback
+ * @returns {Promise<void>}
+ */
+export async function serve(app, callback) {
+  const server = http.createServer(app.toListener());
+
+  await new Promise(resolve => server.listen(0, () => resolve(undefined)));
+
+  try {
+    await callback(
+      /** @type {import('net').AddressInfo} */ (server.address()).port
+    );
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Sends a request and reads the response.
+ *
+ * @param {number} port
+ * @param {string} method
+ * @param {string} path
+ * @param {http.OutgoingHttpHeaders=} headers
+ * @returns {Promise<Reply>}
+ */
+export function request(port, method, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers }, res => {
+      /** @type {Buffer[]} */
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        const json =
+          !res.headers['content-encoding'] &&
+          /json/.test(res.headers['content-type'] || '');
+
+        resolve({
+          status: res.statusCode || 0,
+          headers: res.headers,
+          body: text ? (json ? JSON.parse(text) : text) : null
+        });
+      });
+    });
+
+    req.on('error', reject);
+    req.end();
+  });
+}
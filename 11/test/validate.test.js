@@ -0,0 +1,53 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { Simpress, validate } from '../simpressjs';
+import { request, serve } from './helpers';
+
+/** @type {import('../simpressjs').RequestSchemas} */
+const schemas = {
+  response: { 200: { type: 'object', required: ['x'] } }
+};
+
+test('invalid responses are replaced by validation errors', async () => {
+  const app = new Simpress();
+
+  app.get('/sync', validate(schemas, { response: 'throw' }), (req, res) => {
+    res.json({ y: 1 });
+  });
+  app.get('/async', validate(schemas, { response: 'throw' }), (req, res) => {
+    setTimeout(() => res.json({ y: 1 }));
+  });
+  app.get('/valid', validate(schemas, { response: 'throw' }), (req, res) => {
+    res.json({ x: 1 });
+  });
+
+  await serve(app, async port => {
+    for (const path of ['/sync', '/async']) {
+      const { status, body } = await request(port, 'GET', path);
+
+      assert.equal(status, 500);
+      assert.equal(body.code, 'RESPONSE_VALIDATION_FAILED');
+      assert.equal(body.details[0].path, 'response.x');
+    }
+
+    // the server is still alive after the callback failed
+    assert.deepEqual((await request(port, 'GET', '/valid')).body, { x: 1 });
+  });
+});
+
+test('validation errors are rendered with the application error options', async () => {
+  const app = new Simpress({ errors: { problem: true } });
+
+  app.get('/async', validate(schemas, { response: 'throw' }), (req, res) => {
+    setTimeout(() => res.json({ y: 1 }));
+  });
+
+  await serve(app, async port => {
+    const { status, headers, body } = await request(port, 'GET', '/async');
+
+    assert.equal(status, 500);
+    assert.equal(headers['content-type'], 'application/problem+json');
+    assert.equal(body.code, 'RESPONSE_VALIDATION_FAILED');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Chainable response helpers added by `toListener` of `11/simpressjs`,
+ * see `ResponseHelpers` in `11/simpressjs/types.js`.
+ *
+ * The `simpressjs` package used by `12/index.ts` does not add them yet,
+ * so the declarations are not part of the `12` project. Opt in by referencing
+ * the file from the entry point once the runtime provides the helpers:
+ *
+ * ```ts
+ * /// <reference path="./types/response-helpers.d.ts" />
+ * ```
+ *
+ * `Response` of `simpressjs` is a conditional alias of `ServerResponse`,
+ * so the helpers are declared on `ServerResponse` itself.
+ */
+
+import { IncomingMessage } from 'http';
+
+declare module 'http' {
+  interface ServerResponse<Request extends IncomingMessage = IncomingMessage> {
+    /** Sets the status code. */
+    status(code: number): this;
+    /** Sets `Content-Type`, `json`, `text`, `html` and `bin` are expanded to MIME types. */
+    type(type: string): this;
+    /** Appends values to a header. */
+    append(field: string, value: string | string[]): this;
+    /** Adds a field to the `Vary` header. */
+    vary(field: string): this;
+    /** Sends a JSON body. */
+    json(body: unknown): this;
+    /** Sends a string, a buffer or a JSON body depending on the body type. */
+    send(body?: unknown): this;
+    /** Sends the status code with its status text as a body. */
+    sendStatus(code: number): this;
+    /** Redirects to the URL with the 302 status. */
+    redirect(url: string): this;
+    /** Redirects to the URL with the status. */
+    redirect(status: number, url: string): this;
+    /** Sends the data buffered by the `compression` middleware, it does nothing without compression. */
+    flush(): void;
+  }
+}